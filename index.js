@@ -1,23 +1,48 @@
 const StringValidator = require('./src/StringValidation')
 const IntegerValidator = require('./src/IntegerValidator')
+const NumberValidator = require('./src/NumberValidator');
+const BigIntValidator = require('./src/BigIntValidator');
+const DateValidator = require('./src/DateValidator');
 const ObjectSchema = require('./src/ObjectSchema');
 const EmailValidator = require('./src/EmailValidator');
 const PasswordValidator = require('./src/PasswordValidator')
 const FileValidator = require('./src/FileValidator');
 const BooleanValidator = require('./src/BooleanValidator')
+const ArrayValidator = require('./src/ArrayValidator')
+const { setLocale, getLocale, addMessages } = require('./src/until/i18n');
+const middleware = require('./src/middleware');
+const { registerMimeType } = require('./src/until/mimeRegistry');
 
 
 /**
  * v is a lightweight validation library that provides various input validation methods.
  */
 const v = {
-  boolean: () => new BooleanValidator(),
+  boolean: (options) => new BooleanValidator(options),
   file: () => new FileValidator(),
   email: (options) => new EmailValidator(options),
   password: () => new PasswordValidator(),
-  string: () => new StringValidator,
-  integer: () => new IntegerValidator(),
-  object: (schema) => new ObjectSchema(schema)
+  string: (options) => new StringValidator(options),
+  integer: (options) => new IntegerValidator(options),
+  number: (options) => new NumberValidator(options),
+  bigint: (options) => new BigIntValidator(options),
+  date: (options) => new DateValidator(options),
+  object: (schema) => new ObjectSchema(schema),
+  array: (itemValidator) => new ArrayValidator(itemValidator),
+  // Validators that convert query string and form values before validating them
+  coerce: {
+    boolean: () => new BooleanValidator({ coerce: true }),
+    string: () => new StringValidator({ coerce: true }),
+    integer: () => new IntegerValidator({ coerce: true }),
+    number: (options) => new NumberValidator({ ...options, coerce: true }),
+    bigint: () => new BigIntValidator({ coerce: true }),
+  },
+  // Request validation middleware: middleware.express(), middleware.koa() and middleware.fastify()
+  middleware,
+  registerMimeType,
+  setLocale,
+  getLocale,
+  addMessages
 };
 
 module.exports = v;
@@ -0,0 +1,262 @@
+const {
+  joinPath,
+  mergeErrors,
+  createCustomRule,
+  applyTransforms,
+  createAsyncRule,
+  validateAsyncRules,
+  validateWithAsync,
+  assertNoAsyncRules,
+  fieldLabel,
+} = require('./until/validationHelper');
+const { createIssue, formatIssues } = require('./until/errorHelper');
+
+/**
+ * Class for validating arrays whose items are checked by another validator.
+ * Supports minimum/maximum length and nested schemas as items.
+ */
+class ArrayValidator {
+  #itemValidator; // Private attribute for the validator applied to each item
+  #rules; // Private attribute for storing validation rules
+  #asyncRules; // Private attribute for storing async validation rules
+  #transforms; // Private attribute for storing transforms applied to valid data
+  #allowNull; // Private attribute for nullable array option
+
+  /**
+   * @param {Object} itemValidator - Any validator with a `validate` method (e.g. `v.string()` or `v.object({...})`).
+   */
+  constructor(itemValidator) {
+    this.#itemValidator = itemValidator;
+    this.#rules = [];
+    this.#asyncRules = []; // Async rules, run by validateAsync()
+    this.#transforms = []; // Run on the data once every rule passes
+    this.#allowNull = false; // Default is not allowing null arrays
+  }
+
+  /**
+   * Allows the array to be nullable (can be null).
+   */
+  nullable() {
+    this.#allowNull = true;
+    return this; // Enable chaining
+  }
+
+  /**
+   * Adds a rule to ensure the array has at least the specified number of items.
+   * @param {number} length - The minimum number of items required.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  min(length, options = {}) {
+    this.#rules.push((value, fieldName) => {
+      if (value.length < length) {
+        return {
+          valid: false,
+          error: createIssue('too_small', {
+            key: 'array.min',
+            field: fieldName,
+            params: { min: length },
+            message: options.message,
+          }),
+        };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a rule to ensure the array has no more than the specified number of items.
+   * @param {number} length - The maximum number of items allowed.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  max(length, options = {}) {
+    this.#rules.push((value, fieldName) => {
+      if (value.length > length) {
+        return {
+          valid: false,
+          error: createIssue('too_big', {
+            key: 'array.max',
+            field: fieldName,
+            params: { max: length },
+            message: options.message,
+          }),
+        };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a custom rule.
+   * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  custom(check, options = {}) {
+    this.#rules.push(createCustomRule(check, options));
+    return this;
+  }
+
+  /**
+   * Adds a transform applied to the validated data, after every rule has passed (e.g. trimming or mapping to a domain object).
+   * Transforms run in the order they are added and are skipped for `null` values.
+   * @param {Function} transform - Function `(value) => newValue`.
+   */
+  transform(transform) {
+    this.#transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Adds an async rule on the array as a whole. Validators with async rules must be run with `validateAsync()`.
+   * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   */
+  customAsync(check, options = {}) {
+    this.#asyncRules.push(createAsyncRule(check, options));
+    return this;
+  }
+
+  /**
+   * Validates the array and each of its items.
+   *
+   * @param {Array|null} value - The array to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @param {string} [options.path=''] - Path of the array inside its parent schema.
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+   * @param {string} [options.locale] - The locale of the error messages. Defaults to the current locale.
+   * @param {string|Object} [options.label] - Label used in messages instead of the field name, or a map of locales to labels.
+   * @returns {Object} - Validation result:
+   *   - `valid` (`boolean`): True if the array and all items pass, otherwise false.
+   *   - `errors` (`Object`): Error messages keyed by path (e.g. `items.2.price`), if validation fails.
+   *   - `data` (`Array|null`): The validated items if valid.
+   */
+  validate(value, options = {}) {
+    assertNoAsyncRules(this.#asyncRules, 'ArrayValidator');
+    const { fieldName = 'value', path = '', structured = false, locale } = options;
+    const key = path || fieldName;
+    const label = fieldLabel(options, 'value');
+    const format = { structured, locale };
+
+    const invalid = this.#checkArray(value, label, key, format);
+    if (invalid) {
+      return invalid;
+    }
+
+    const itemResults = value.map((item, index) => {
+      const itemPath = joinPath(key, index);
+      return this.#itemValidator.validate(item ?? null, { fieldName: itemPath, path: itemPath, structured, locale });
+    });
+
+    return applyTransforms(this.#collect(value, label, key, itemResults, format), this.#transforms);
+  }
+
+  /**
+   * Validates the array like `validate()`, running the items concurrently through their `validateAsync()`.
+   * Async rules on the array run once the array and its items are valid.
+   *
+   * @param {Array|null} value - The array to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @param {string} [options.path=''] - Path of the array inside its parent schema.
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+   * @param {string} [options.locale] - The locale of the error messages. Defaults to the current locale.
+   * @param {string|Object} [options.label] - Label used in messages instead of the field name, or a map of locales to labels.
+   * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+   */
+  async validateAsync(value, options = {}) {
+    const { fieldName = 'value', path = '', structured = false, locale } = options;
+    const key = path || fieldName;
+    const label = fieldLabel(options, 'value');
+    const format = { structured, locale };
+
+    const invalid = this.#checkArray(value, label, key, format);
+    if (invalid) {
+      return invalid;
+    }
+
+    const itemResults = await Promise.all(value.map((item, index) => {
+      const itemPath = joinPath(key, index);
+      return validateWithAsync(this.#itemValidator, item ?? null, { fieldName: itemPath, path: itemPath, structured, locale });
+    }));
+
+    const result = this.#collect(value, label, key, itemResults, format);
+    if (!result.valid || result.data === null) {
+      return result;
+    }
+
+    const asyncResult = await validateAsyncRules(result.data, label, this.#asyncRules);
+    return asyncResult.isValid
+      ? applyTransforms(result, this.#transforms)
+      : { valid: false, errors: { [key]: formatIssues(asyncResult.errors, key, format) } };
+  }
+
+  /**
+   * Checks that the value is present and is an array.
+   * @param {*} value - The value to check.
+   * @param {string} fieldName - The label of the field used in messages.
+   * @param {string} key - The error key of the array.
+   * @param {Object} format - How errors are formatted (`structured` and `locale`).
+   * @returns {Object|null} - The final result if the value is null or not an array, otherwise null.
+   */
+  #checkArray(value, fieldName, key, format) {
+    if (value == null) {
+      if (this.#allowNull) {
+        return { valid: true, data: null };
+      }
+      const issue = createIssue('required', { field: fieldName });
+      return { valid: false, errors: { [key]: formatIssues([issue], key, format) } };
+    }
+
+    if (!Array.isArray(value)) {
+      const issue = createIssue('invalid_type', { key: 'array.type', field: fieldName, params: { expected: 'array' } });
+      return { valid: false, errors: { [key]: formatIssues([issue], key, format) } };
+    }
+
+    return null;
+  }
+
+  /**
+   * Runs the array rules and combines them with the results of the items.
+   * @param {Array} value - The array being validated.
+   * @param {string} fieldName - The label of the field used in messages.
+   * @param {string} key - The error key of the array.
+   * @param {Object[]} itemResults - The validation result of each item.
+   * @param {Object} format - How errors are formatted (`structured` and `locale`).
+   * @returns {Object} - The validation result of the array.
+   */
+  #collect(value, fieldName, key, itemResults, format) {
+    const errors = {};
+    const validData = [];
+    let isValid = true;
+
+    // Rules that apply to the array as a whole
+    for (let rule of this.#rules) {
+      const result = rule(value, fieldName);
+      if (!result.valid) {
+        errors[key] = [...(errors[key] || []), ...formatIssues([result.error], key, format)];
+        isValid = false;
+      }
+    }
+
+    // Errors of each item are reported under its own path
+    itemResults.forEach((result, index) => {
+      if (!result.valid) {
+        mergeErrors(errors, joinPath(key, index), result.errors);
+        isValid = false;
+      } else {
+        validData.push(result.data);
+      }
+    });
+
+    return isValid ? { valid: true, data: validData } : { valid: false, errors };
+  }
+}
+
+module.exports = ArrayValidator;
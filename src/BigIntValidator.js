@@ -0,0 +1,272 @@
+const { validateRules, createCustomRule, finishResult, fieldLabel, createAsyncRule, validateAsyncRules, assertNoAsyncRules } = require('./until/validationHelper');
+const { createIssue } = require('./until/errorHelper');
+const { coerceBigInt } = require('./until/coerceHelper');
+
+class BigIntValidator {
+  #rules;
+  #asyncRules;
+  #transforms;
+  #allowNull;
+  #coerce;
+
+  /**
+   * @param {Object} [options] - Optional parameters.
+   * @param {boolean} [options.coerce=false] - Parse whole-number strings (e.g. IDs from a URL) and safe integers into bigints.
+   */
+  constructor(options = {}) {
+    this.#rules = [];
+    this.#asyncRules = []; // Async rules, run by validateAsync()
+    this.#transforms = []; // Run on the data once every rule passes
+    this.#allowNull = false; // Default is to not allow null
+    this.#coerce = options.coerce === true; // Strict by default: only bigints are accepted
+  }
+
+  /**
+   * Allows the value to be `null`.
+   * @returns {BigIntValidator} - The `BigIntValidator` instance with the nullable flag enabled.
+   */
+  nullable() {
+    this.#allowNull = true;
+    return this;
+  }
+
+  /**
+   * Ensures the value is greater than or equal to `minValue`.
+   * @param {bigint|number|string} minValue - Minimum value.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  min(minValue, options = {}) {
+    const limit = this.#parseLimit(minValue, 'min');
+    return this.#addRule((value) => value >= limit, { code: 'too_small', key: 'bigint.min', params: { min: String(limit) } }, options);
+  }
+
+  /**
+   * Ensures the value is less than or equal to `maxValue`.
+   * @param {bigint|number|string} maxValue - Maximum value.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  max(maxValue, options = {}) {
+    const limit = this.#parseLimit(maxValue, 'max');
+    return this.#addRule((value) => value <= limit, { code: 'too_big', key: 'bigint.max', params: { max: String(limit) } }, options);
+  }
+
+  /**
+   * Ensures the value is strictly greater than `limit`.
+   * @param {bigint|number|string} limit - The value must be greater than this.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  gt(limit, options = {}) {
+    const bound = this.#parseLimit(limit, 'gt');
+    return this.#addRule((value) => value > bound, { code: 'too_small', key: 'bigint.gt', params: { gt: String(bound) } }, options);
+  }
+
+  /**
+   * Ensures the value is strictly less than `limit`.
+   * @param {bigint|number|string} limit - The value must be less than this.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  lt(limit, options = {}) {
+    const bound = this.#parseLimit(limit, 'lt');
+    return this.#addRule((value) => value < bound, { code: 'too_big', key: 'bigint.lt', params: { lt: String(bound) } }, options);
+  }
+
+  /**
+   * Ensures the value is greater than 0.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  positive(options = {}) {
+    return this.#addRule((value) => value > 0n, { code: 'not_positive', key: 'bigint.positive' }, options);
+  }
+
+  /**
+   * Ensures the value is less than 0.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  negative(options = {}) {
+    return this.#addRule((value) => value < 0n, { code: 'not_negative', key: 'bigint.negative' }, options);
+  }
+
+  /**
+   * Ensures the value is greater than or equal to 0.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  nonnegative(options = {}) {
+    return this.#addRule((value) => value >= 0n, { code: 'too_small', key: 'bigint.nonnegative', params: { min: '0' } }, options);
+  }
+
+  /**
+   * Ensures the value is a multiple of `step`.
+   * @param {bigint|number|string} step - The step, greater than 0.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  multipleOf(step, options = {}) {
+    const divisor = this.#parseLimit(step, 'multipleOf');
+    if (divisor <= 0n) {
+      throw new Error('multipleOf() expects a step greater than 0.');
+    }
+    return this.#addRule((value) => value % divisor === 0n, {
+      code: 'not_multiple_of',
+      key: 'bigint.multiple_of',
+      params: { multipleOf: String(divisor) },
+    }, options);
+  }
+
+  /**
+   * Adds a custom rule.
+   * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  custom(check, options = {}) {
+    this.#rules.push(createCustomRule(check, options));
+    return this;
+  }
+
+  /**
+   * Adds a transform applied to the validated data, after every rule has passed (e.g. `String` for JSON responses).
+   * Transforms run in the order they are added and are skipped for `null` values.
+   * @param {Function} transform - Function `(value) => newValue`.
+   */
+  transform(transform) {
+    this.#transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Adds an async rule, such as checking that an ID exists in a database.
+   * Validators with async rules must be run with `validateAsync()`.
+   * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   */
+  customAsync(check, options = {}) {
+    this.#asyncRules.push(createAsyncRule(check, options));
+    return this;
+  }
+
+  /**
+   * Validates the provided value against all applied rules.
+   * Limits in error params are strings, so structured errors can be serialized to JSON.
+   *
+   * @param {bigint|string|null} value - The value to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+   * @returns {Object} - Validation result:
+   *   - `valid` (`boolean`): True if all rules pass, otherwise false.
+   *   - `errors` (`string[]|Object[]`): An array of error messages, if validation fails.
+   *   - `data` (`bigint|null`): The validated value if valid, otherwise null.
+   */
+  validate(value, options = {}) {
+    assertNoAsyncRules(this.#asyncRules, 'BigIntValidator');
+    return finishResult(this.#validateSync(value, options), this.#transforms, options, 'value');
+  }
+
+  /**
+   * Validates the provided value like `validate()`, then runs the async rules added with `customAsync()`.
+   * Async rules run concurrently, and only once the synchronous rules pass.
+   *
+   * @param {bigint|string|null} value - The value to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+   */
+  async validateAsync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'value');
+    const result = this.#validateSync(value, options);
+
+    if (!result.valid || result.data === null) {
+      return finishResult(result, this.#transforms, options, 'value');
+    }
+
+    const asyncResult = await validateAsyncRules(result.data, fieldName, this.#asyncRules);
+    const finalResult = asyncResult.isValid ? result : { valid: false, errors: asyncResult.errors };
+    return finishResult(finalResult, this.#transforms, options, 'value');
+  }
+
+  /**
+   * Converts a limit to a bigint, throwing when it is not a whole number so that mistakes fail when the validator is defined.
+   *
+   * @param {bigint|number|string} limit - The limit: a bigint, an integer or a whole-number string.
+   * @param {string} method - The rule, used in the error message.
+   * @returns {bigint} - The limit.
+   */
+  #parseLimit(limit, method) {
+    if (typeof limit === 'bigint') {
+      return limit;
+    }
+    if (Number.isInteger(limit) || (typeof limit === 'string' && /^[+-]?\d+$/.test(limit.trim()))) {
+      return BigInt(typeof limit === 'string' ? limit.trim() : limit);
+    }
+    throw new Error(`${method}() expects a bigint, an integer or a whole-number string such as '10', got ${JSON.stringify(String(limit))}.`);
+  }
+
+  /**
+   * Adds a rule checking the value with a predicate.
+   *
+   * @param {Function} test - Function `(value) => boolean`, given a bigint.
+   * @param {Object} issue - The `code`, `key` and `params` of the error.
+   * @param {Object} options - The `message` option of the rule.
+   * @returns {BigIntValidator} - The instance, for chaining.
+   */
+  #addRule(test, issue, options) {
+    const { code, key, params } = issue;
+
+    this.#rules.push((value, fieldName) => {
+      if (!test(value)) {
+        return { valid: false, error: createIssue(code, { key, field: fieldName, params, message: options.message }) };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Runs the presence, type and synchronous rule checks shared by `validate()` and `validateAsync()`.
+   */
+  #validateSync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'value');
+    let errors = [];
+    let isValid = true;
+
+    if (this.#coerce) {
+      value = coerceBigInt(value);
+    }
+    let validData = value;
+
+    if (value == null || value === '') {
+      if (this.#allowNull) {
+        return { valid: true, data: null }; // Pass validation for null/empty if nullable
+      }
+      errors.push(createIssue('required', { field: fieldName }));
+      isValid = false;
+      validData = null;
+    } else if (typeof value !== 'bigint') {
+      errors.push(createIssue('invalid_type', { key: 'bigint.type', field: fieldName, params: { expected: 'bigint' } }));
+      isValid = false;
+      validData = null;
+    } else {
+      const ruleValidationResult = validateRules(value, fieldName, this.#rules);
+      if (!ruleValidationResult.isValid) {
+        isValid = false;
+        errors.push(...ruleValidationResult.errors);
+        validData = null;
+      } else {
+        validData = ruleValidationResult.value;
+      }
+    }
+
+    return isValid ? { valid: true, data: validData } : { valid: false, errors };
+  }
+}
+
+module.exports = BigIntValidator;
@@ -1,10 +1,35 @@
+const { createCustomRule, finishResult, fieldLabel, createAsyncRule, validateAsyncRules, assertNoAsyncRules } = require('./until/validationHelper');
+const { createIssue } = require('./until/errorHelper');
+const { coerceBoolean, resolveBooleanVocabulary } = require('./until/coerceHelper');
+
 class BooleanValidator {
     #rules;
+    #asyncRules;
+    #transforms;
     #allowNull;
+    #vocabulary;
+    #absentAsFalse;
   
-    constructor() {
+    /**
+     * @param {Object} [options] - Optional parameters.
+     * @param {boolean} [options.coerce=false] - Parse `true`/`false`, `1`/`0`, `yes`/`no` and `on`/`off` strings into booleans.
+     * @param {Array} [options.truthy] - Values parsed as `true` instead of the default ones (e.g. `['on']` for HTML checkboxes).
+     *   Strings are compared case-insensitively. Setting `truthy` or `falsy` enables coercion.
+     * @param {Array} [options.falsy] - Values parsed as `false` instead of the default ones. When only one side is set,
+     *   its values are removed from the defaults of the other side. A value on both sides throws.
+     * @param {boolean} [options.absentAsFalse=false] - Read a missing or `null` value as `false`, like an unchecked
+     *   HTML checkbox, which is left out of the submitted form.
+     */
+    constructor(options = {}) {
+      const { coerce = false, truthy, falsy, absentAsFalse = false } = options;
+
       this.#rules = [];
+      this.#asyncRules = []; // Async rules, run by validateAsync()
+      this.#transforms = []; // Run on the data once every rule passes
       this.#allowNull = false; // Flag to indicate if null values are allowed
+      // Strict by default: only booleans are accepted
+      this.#vocabulary = coerce === true || truthy !== undefined || falsy !== undefined ? resolveBooleanVocabulary({ truthy, falsy }) : null;
+      this.#absentAsFalse = absentAsFalse === true;
     }
   
     /**
@@ -15,18 +40,57 @@ class BooleanValidator {
       return this; // Return the instance for chaining
     }
 
-     // Private method for parsing strings as booleans
-  #parseBoolean(value) {
-    if (typeof value === 'string') {
-      const lowerValue = value.toLowerCase();
-      if (lowerValue === 'true' || lowerValue === '1') {
-        return true;
-      } else if (lowerValue === 'false' || lowerValue === '0') {
-        return false;
-      }
+    /**
+     * Ensures the value is `true`, e.g. for a terms of service checkbox.
+     * @param {Object} [options] - Optional parameters.
+     * @param {string} [options.message] - Custom error message.
+     */
+    accepted(options = {}) {
+      return this.#addRule((value) => value === true, { code: 'not_accepted', key: 'boolean.accepted' }, options);
+    }
+
+    /**
+     * Ensures the value is `false`.
+     * @param {Object} [options] - Optional parameters.
+     * @param {string} [options.message] - Custom error message.
+     */
+    declined(options = {}) {
+      return this.#addRule((value) => value === false, { code: 'not_declined', key: 'boolean.declined' }, options);
+    }
+
+    /**
+     * Adds a custom rule.
+     * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+     * @param {Object} [options] - Optional parameters.
+     * @param {string} [options.message] - Custom error message.
+     */
+    custom(check, options = {}) {
+      this.#rules.push(createCustomRule(check, options));
+      return this;
+    }
+
+    /**
+     * Adds a transform applied to the validated data, after every rule has passed (e.g. trimming or mapping to a domain object).
+     * Transforms run in the order they are added and are skipped for `null` values.
+     * @param {Function} transform - Function `(value) => newValue`.
+     */
+    transform(transform) {
+      this.#transforms.push(transform);
+      return this;
+    }
+
+    /**
+     * Adds an async rule, such as a uniqueness check against a database.
+     * Validators with async rules must be run with `validateAsync()`.
+     * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+     * @param {Object} [options] - Optional parameters.
+     * @param {string} [options.message] - Custom error message.
+     * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+     */
+    customAsync(check, options = {}) {
+      this.#asyncRules.push(createAsyncRule(check, options));
+      return this;
     }
-    return value; // Return the original value if not a parsable string
-  }
 
     /**
      * Validates the provided boolean value against all applied rules.
@@ -34,28 +98,95 @@ class BooleanValidator {
      * @param {boolean|null} value - The boolean value to validate.
      * @param {Object} [options] - Optional parameters for the validation.
      * @param {string} [options.fieldName='value'] - The name of the field being validated. 
+     * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
      * @returns {Object} - Validation result:
      *   - `valid` (`boolean`): True if all rules pass, otherwise false.
-     *   - `errors` (`string[]`): An array of error messages, if validation fails.
+     *   - `errors` (`string[]|Object[]`): An array of error messages, if validation fails.
      *   - `data` (`boolean|null`): The validated boolean if valid, otherwise null.
      */
     validate(value, options = {}) {
-      const { fieldName = 'value' } = options;
+      assertNoAsyncRules(this.#asyncRules, 'BooleanValidator');
+      return finishResult(this.#validateSync(value, options), this.#transforms, options, 'value');
+    }
+
+    /**
+     * Validates the provided value like `validate()`, then runs the async rules added with `customAsync()`.
+     * Async rules run concurrently, and only once the synchronous rules pass.
+     *
+     * @param {boolean|null} value - The value to validate.
+     * @param {Object} [options] - Optional parameters for the validation.
+     * @param {string} [options.fieldName='value'] - The name of the field being validated.
+     * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+     */
+    async validateAsync(value, options = {}) {
+      const fieldName = fieldLabel(options, 'value');
+      const result = this.#validateSync(value, options);
+
+      if (!result.valid || result.data === null) {
+        return finishResult(result, this.#transforms, options, 'value');
+      }
+
+      const asyncResult = await validateAsyncRules(result.data, fieldName, this.#asyncRules);
+      const finalResult = asyncResult.isValid ? result : { valid: false, errors: asyncResult.errors };
+      return finishResult(finalResult, this.#transforms, options, 'value');
+    }
+
+    /**
+     * Adds a rule checking the value with a predicate.
+     *
+     * @param {Function} test - Function `(value) => boolean`, given a boolean.
+     * @param {Object} issue - The `code` and `key` of the error.
+     * @param {Object} options - The `message` option of the rule.
+     * @returns {BooleanValidator} - The instance, for chaining.
+     */
+    #addRule(test, issue, options) {
+      const { code, key } = issue;
+
+      this.#rules.push((value, fieldName) => {
+        if (!test(value)) {
+          return { valid: false, error: createIssue(code, { key, field: fieldName, message: options.message }) };
+        }
+        return { valid: true, value };
+      });
+      return this;
+    }
+
+    /**
+     * Runs the presence, type and synchronous rule checks shared by `validate()` and `validateAsync()`.
+     */
+    #validateSync(value, options = {}) {
+      const fieldName = fieldLabel(options, 'value');
       let errors = [];
       let isValid = true;
 
-      // Parse value to boolean if it's a string
-      value = this.#parseBoolean(value);
+      if (this.#vocabulary) {
+        value = coerceBoolean(value, this.#vocabulary);
+      }
+      if (value == null && this.#absentAsFalse) {
+        value = false; // A missing key is converted to `null` by the schema
+      }
   
-      if (value === null) {
+      if (value == null) {
         if (this.#allowNull) {
           return { valid: true, data: null }; // Pass validation for null if nullable
         }
-        errors.push(`${fieldName} is required`);
+        errors.push(createIssue('required', { field: fieldName }));
         isValid = false;
       } else if (typeof value !== 'boolean') {
-        errors.push(`${fieldName} must be a boolean`);
+        errors.push(createIssue('invalid_type', {
+          key: 'boolean.type',
+          field: fieldName,
+          params: { expected: 'boolean' },
+        }));
         isValid = false;
+      } else {
+        for (let rule of this.#rules) {
+          const result = rule(value, fieldName);
+          if (!result.valid) {
+            errors.push(result.error);
+            isValid = false;
+          }
+        }
       }
   
       return isValid ? { valid: true, data: value } : { valid: false, errors };
@@ -0,0 +1,383 @@
+const { validateRules, createCustomRule, finishResult, fieldLabel, createAsyncRule, validateAsyncRules, assertNoAsyncRules } = require('./until/validationHelper');
+const { createIssue } = require('./until/errorHelper');
+const {
+  WEEKDAYS,
+  utcDate,
+  assertTimeZone,
+  zonedParts,
+  partsToDate,
+  isValidParts,
+  parseIsoParts,
+  compileFormat,
+  addToDate,
+  parseRelative,
+  resolveWeekday,
+  formatDateOnly,
+} = require('./until/dateHelper');
+
+class DateValidator {
+  #rules;
+  #asyncRules;
+  #transforms;
+  #allowNull;
+  #format;
+  #parseString;
+  #timeZone;
+  #dateOnly;
+  #output;
+
+  /**
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.format='iso'] - The format of string inputs: `iso` (ISO 8601), or a pattern such as `DD/MM/YYYY`
+   *   built from `YYYY`, `MM`, `M`, `DD`, `D`, `HH`, `H`, `mm`, `ss` and `SSS`.
+   * @param {string} [options.timeZone='UTC'] - The IANA time zone of strings without an offset, and of "today" for date-only values.
+   * @param {boolean} [options.dateOnly=false] - Validate calendar dates, without a time. Values are normalized to midnight UTC
+   *   of their date in `timeZone`, and `past()`, `future()` and relative limits compare them with today in `timeZone`.
+   * @param {string} [options.output='date'] - The validated data: a `Date`, or an ISO string with `iso` (`YYYY-MM-DD` for date-only values).
+   */
+  constructor(options = {}) {
+    const { format = 'iso', timeZone = 'UTC', dateOnly = false, output = 'date' } = options;
+    if (!['date', 'iso'].includes(output)) {
+      throw new Error(`Invalid date output "${output}". Use "date" or "iso".`);
+    }
+
+    this.#rules = [];
+    this.#asyncRules = []; // Async rules, run by validateAsync()
+    this.#transforms = []; // Run on the data once every rule passes
+    this.#allowNull = false;
+    this.#format = format;
+    this.#parseString = format === 'iso' ? parseIsoParts : compileFormat(format);
+    this.#timeZone = assertTimeZone(timeZone);
+    this.#dateOnly = dateOnly === true;
+    this.#output = output;
+  }
+
+  /**
+   * Allows the value to be `null` or an empty string.
+   * @returns {DateValidator} - The `DateValidator` instance with the nullable flag enabled.
+   */
+  nullable() {
+    this.#allowNull = true;
+    return this;
+  }
+
+  /**
+   * Ensures the date is on or after `limit`.
+   * @param {Date|string|number} limit - A date, an ISO string, a timestamp, `now`, `today`, or a relative
+   *   expression such as `18 years ago`, `in 2 weeks` or `30 days from now`, resolved at each validation.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  min(limit, options = {}) {
+    const resolveLimit = this.#limitResolver(limit);
+    this.#rules.push((value, fieldName) => {
+      const min = resolveLimit();
+      if (value < min) {
+        return this.#failure('too_small', 'date.min', fieldName, { min: this.#formatDate(min) }, options);
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Ensures the date is on or before `limit`.
+   * @param {Date|string|number} limit - A date, an ISO string, a timestamp, `now`, `today`, or a relative expression (see `min()`).
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  max(limit, options = {}) {
+    const resolveLimit = this.#limitResolver(limit);
+    this.#rules.push((value, fieldName) => {
+      const max = resolveLimit();
+      if (value > max) {
+        return this.#failure('too_big', 'date.max', fieldName, { max: this.#formatDate(max) }, options);
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Ensures the date is in the past (before today for date-only values).
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  past(options = {}) {
+    this.#rules.push((value, fieldName) => {
+      if (value >= this.#now()) {
+        return this.#failure('not_past', 'date.past', fieldName, {}, options);
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Ensures the date is in the future (after today for date-only values).
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  future(options = {}) {
+    this.#rules.push((value, fieldName) => {
+      if (value <= this.#now()) {
+        return this.#failure('not_future', 'date.future', fieldName, {}, options);
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Ensures the date falls on one of the given days of the week, in the time zone of the validator.
+   * @param {Array<number|string>} [days] - Days as numbers (0 for Sunday) or English names. Defaults to Monday to Friday.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  weekday(days = [1, 2, 3, 4, 5], options = {}) {
+    const allowed = days.map(resolveWeekday);
+    this.#rules.push((value, fieldName) => {
+      if (!allowed.includes(this.#dayOfWeek(value))) {
+        return this.#failure('invalid_weekday', 'date.weekday', fieldName, { days: allowed.map((day) => WEEKDAYS[day]) }, options);
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a custom rule. The check receives the parsed `Date`.
+   * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  custom(check, options = {}) {
+    this.#rules.push(createCustomRule(check, options));
+    return this;
+  }
+
+  /**
+   * Adds a transform applied to the validated data, after every rule has passed.
+   * Transforms run in the order they are added and are skipped for `null` values.
+   * @param {Function} transform - Function `(value) => newValue`.
+   */
+  transform(transform) {
+    this.#transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Adds an async rule, such as checking that a booking slot is free.
+   * Validators with async rules must be run with `validateAsync()`.
+   * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   */
+  customAsync(check, options = {}) {
+    this.#asyncRules.push(createAsyncRule(check, options));
+    return this;
+  }
+
+  /**
+   * Validates the provided value against all applied rules.
+   * `Date` objects, strings in the format of the validator and timestamps in milliseconds are accepted.
+   *
+   * @param {Date|string|number|null} value - The value to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+   * @returns {Object} - Validation result:
+   *   - `valid` (`boolean`): True if all rules pass, otherwise false.
+   *   - `errors` (`string[]|Object[]`): An array of error messages, if validation fails.
+   *   - `data` (`Date|string|null`): The normalized date (see the `output` option) if valid, otherwise null.
+   */
+  validate(value, options = {}) {
+    assertNoAsyncRules(this.#asyncRules, 'DateValidator');
+    return finishResult(this.#validateSync(value, options), this.#transforms, options, 'value');
+  }
+
+  /**
+   * Validates the provided value like `validate()`, then runs the async rules added with `customAsync()`.
+   * Async rules run concurrently, and only once the synchronous rules pass.
+   *
+   * @param {Date|string|number|null} value - The value to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+   */
+  async validateAsync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'value');
+    const result = this.#validateSync(value, options);
+
+    if (!result.valid || result.data === null) {
+      return finishResult(result, this.#transforms, options, 'value');
+    }
+
+    const asyncResult = await validateAsyncRules(result.data, fieldName, this.#asyncRules);
+    const finalResult = asyncResult.isValid ? result : { valid: false, errors: asyncResult.errors };
+    return finishResult(finalResult, this.#transforms, options, 'value');
+  }
+
+  /**
+   * Parses a value into a `Date`, normalized to midnight UTC for date-only values.
+   * @returns {Date|null} - The date, or null if the value is not a valid date.
+   */
+  #parse(value) {
+    let date;
+    if (value instanceof Date) {
+      date = new Date(value.getTime());
+    } else if (typeof value === 'number') {
+      date = new Date(Number.isFinite(value) ? value : NaN);
+    } else {
+      const parts = this.#parseString(value);
+      if (!parts || !isValidParts(parts)) {
+        return null;
+      }
+      if (this.#dateOnly && !parts.hasTime) {
+        return partsToDate(parts, 'UTC'); // A calendar date is the same day everywhere
+      }
+      date = partsToDate(parts, this.#timeZone);
+    }
+
+    if (Number.isNaN(date.getTime())) {
+      return null;
+    }
+    return this.#dateOnly ? this.#startOfDay(date) : date;
+  }
+
+  /**
+   * Returns midnight UTC of the calendar date of an instant in the time zone of the validator.
+   */
+  #startOfDay(date) {
+    const { year, month, day } = zonedParts(date, this.#timeZone);
+    return partsToDate({ year, month, day }, 'UTC');
+  }
+
+  /**
+   * Returns the current instant, or today for date-only values.
+   */
+  #now() {
+    const now = new Date();
+    return this.#dateOnly ? this.#startOfDay(now) : now;
+  }
+
+  /**
+   * Returns the day of the week of a date, from 0 (Sunday) to 6.
+   */
+  #dayOfWeek(date) {
+    if (this.#dateOnly) {
+      return date.getUTCDay();
+    }
+    const { year, month, day } = zonedParts(date, this.#timeZone);
+    return utcDate(year, month, day).getUTCDay();
+  }
+
+  /**
+   * Creates a function resolving a limit of `min()` or `max()`. Fixed limits are parsed once, while
+   * `now`, `today` and relative expressions are resolved at each validation.
+   * @returns {Function} - Function `() => Date`.
+   */
+  #limitResolver(limit) {
+    const keyword = typeof limit === 'string' ? limit.trim().toLowerCase() : null;
+    if (keyword === 'now') {
+      return () => this.#now();
+    }
+    if (keyword === 'today') {
+      return () => {
+        const { year, month, day } = zonedParts(new Date(), this.#timeZone);
+        return partsToDate({ year, month, day }, this.#dateOnly ? 'UTC' : this.#timeZone); // Midnight, at the start of today
+      };
+    }
+
+    const relative = keyword === null ? null : parseRelative(keyword);
+    if (relative) {
+      return () => addToDate(this.#now(), relative.amount, relative.unit);
+    }
+
+    const date = limit instanceof Date || typeof limit === 'number' ? this.#parse(limit) : this.#parseLimitString(limit);
+    if (date === null) {
+      throw new Error(`Invalid date limit "${limit}".`);
+    }
+    return () => date;
+  }
+
+  /**
+   * Parses a string limit: ISO 8601 is always accepted, as well as the input format of the validator.
+   */
+  #parseLimitString(limit) {
+    if (typeof limit !== 'string') {
+      return null;
+    }
+    const parts = parseIsoParts(limit) || this.#parseString(limit);
+    if (!parts || !isValidParts(parts)) {
+      return null;
+    }
+    if (this.#dateOnly && !parts.hasTime) {
+      return partsToDate(parts, 'UTC');
+    }
+    const date = partsToDate(parts, this.#timeZone);
+    return this.#dateOnly ? this.#startOfDay(date) : date;
+  }
+
+  /**
+   * Formats a date for error messages and the `iso` output.
+   */
+  #formatDate(date) {
+    return this.#dateOnly ? formatDateOnly(date) : date.toISOString();
+  }
+
+  /**
+   * Builds a failed rule result.
+   */
+  #failure(code, key, fieldName, params, options) {
+    return { valid: false, error: createIssue(code, { key, field: fieldName, params, message: options.message }) };
+  }
+
+  /**
+   * Runs the presence, type and synchronous rule checks shared by `validate()` and `validateAsync()`.
+   */
+  #validateSync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'value');
+    let errors = [];
+    let isValid = true;
+    let validData = null;
+
+    if (typeof value === 'string') {
+      value = value.trim();
+    }
+
+    if (value == null || value === '') {
+      if (this.#allowNull) {
+        return { valid: true, data: null }; // Pass validation for null/empty if nullable
+      }
+      errors.push(createIssue('required', { field: fieldName }));
+      isValid = false;
+    } else if (!(value instanceof Date) && typeof value !== 'string' && typeof value !== 'number') {
+      errors.push(createIssue('invalid_type', { key: 'date.type', field: fieldName, params: { expected: 'date' } }));
+      isValid = false;
+    } else {
+      const date = this.#parse(value);
+      if (date === null) {
+        errors.push(createIssue('invalid_date', {
+          key: this.#format === 'iso' ? 'date.invalid' : 'date.format',
+          field: fieldName,
+          params: { format: this.#format },
+        }));
+        isValid = false;
+      } else {
+        const ruleValidationResult = validateRules(date, fieldName, this.#rules);
+        if (!ruleValidationResult.isValid) {
+          isValid = false;
+          errors.push(...ruleValidationResult.errors);
+        } else {
+          validData = this.#output === 'iso' ? this.#formatDate(date) : date;
+        }
+      }
+    }
+
+    return isValid ? { valid: true, data: validData } : { valid: false, errors };
+  }
+}
+
+module.exports = DateValidator;
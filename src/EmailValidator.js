@@ -1,17 +1,39 @@
+const { createCustomRule, finishResult, fieldLabel, createAsyncRule, validateAsyncRules, assertNoAsyncRules } = require('./until/validationHelper');
+const { createIssue } = require('./until/errorHelper');
+const { parseEmail, toAsciiDomain, matchesDomain, isDisposableDomain, suggestDomain, normalizeEmail } = require('./until/emailHelper');
+const { createDomainChecker } = require('./until/dnsHelper');
+
 /**
  * Class for validating email addresses with customizable rules.
- * Supports basic email format validation and optional maximum length restriction.
+ * Addresses are parsed following RFC 5321 and RFC 5322, with internationalized addresses (RFC 6531),
+ * and can be restricted by domain and normalized.
  */
 class EmailValidator {
 
   #rules; // Private attribute for storing validation rules
+  #asyncRules; // Private attribute for storing async validation rules
+  #transforms; // Private attribute for storing transforms applied to valid data
   #allowNull; // Private attribute for nullable email option
-  #message; // Private attribute for the default message
+  #message; // Private attribute for a custom format message
+  #parseOptions; // Private attribute for the accepted address syntax
+  #normalization; // Private attribute for the normalization applied to valid data
 
+  /**
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom message for invalid addresses.
+   * @param {boolean} [options.allowQuoted=true] - Accept quoted local parts such as `"john doe"@example.com`.
+   * @param {boolean} [options.allowUnicode=true] - Accept non-ASCII characters in the local part (`josé@example.com`).
+   *   Internationalized domains are always accepted.
+   * @param {boolean} [options.allowDomainLiteral=false] - Accept IP addresses as domain, such as `user@[192.0.2.1]`.
+   */
   constructor(options = {}) {
-    const errorMessage = 'Email must be valid';
-    this.#message = options.message || errorMessage;
+    this.#message = options.message || null; // Falls back to the `email.invalid` catalog message
+    const { allowQuoted = true, allowUnicode = true, allowDomainLiteral = false } = options;
+    this.#parseOptions = { allowQuoted, allowUnicode, allowDomainLiteral };
+    this.#normalization = null; // The address is returned as given by default
     this.#rules = []; // Array to store validation rules
+    this.#asyncRules = []; // Async rules, run by validateAsync()
+    this.#transforms = []; // Run on the data once every rule passes
     this.#allowNull = false; // Default is not allowing null emails
   }
 
@@ -24,30 +46,172 @@ class EmailValidator {
   }
 
   /**
-   * Private method to validate a string using a regular expression.
-   * @param {RegExp} pattern - The regular expression pattern to match against.
-   * @param {string} value - The string to test with the regex.
-   * @param {string} errorMessage - The error message to return if the pattern fails.
-   * @returns {Object} - An object with `valid` and `error` properties if invalid, or `data` if valid.
-   */
-  #regex(pattern, value, errorMessage) {
-    if (!pattern.test(value)) {
-      return { valid: false, error: errorMessage };
+   * Private method to validate the email format and the length limits of RFC 5321:
+   * 64 octets before the `@`, 253 for the domain and 254 in total.
+   * @param {string} value - The email string to validate.
+   * @param {string} fieldName - The name of the field, used in the error message.
+   * @returns {Object} - An object with `valid` and `error` properties if invalid, or the parsed `address` if valid.
+   */
+  #email(value, fieldName) {
+    const address = parseEmail(value, this.#parseOptions);
+    if (address.error === 'invalid') {
+      return { valid: false, error: createIssue('invalid_email', { key: 'email.invalid', field: fieldName, message: this.#message }) };
     }
-    return { valid: true, data: value };
+    if (address.error) {
+      return {
+        valid: false,
+        error: createIssue('too_big', { key: `email.${address.error}`, field: fieldName, params: { max: address.max } }),
+      };
+    }
+    return { valid: true, address };
   }
 
   /**
-   * Private method to validate the email format.
-   * Uses a basic email regex pattern.
-   * @param {string} value - The email string to validate.
-   * @param {string} errorMessage - Custom error message if validation fails.
-   * @returns {Object} - Result of the regex validation.
+   * Private method to add a rule on the domain of the address. The rule is skipped when the format is invalid.
+   * @param {Function} test - Function `(asciiDomain) => boolean`, given the domain in lowercase ASCII form.
+   * @param {Object} issue - The `code` and `key` of the error.
+   * @param {Object} options - The `message` option of the rule.
+   */
+  #addDomainRule(test, issue, options) {
+    this.#rules.push((value, fieldName, address) => {
+      if (address && !test(address.asciiDomain)) {
+        return {
+          valid: false,
+          error: createIssue(issue.code, { key: issue.key, field: fieldName, params: { domain: address.domain }, message: options.message }),
+        };
+      }
+      return { valid: true, value };
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Only accepts addresses of the given domains or their subdomains, e.g. company addresses.
+   * Internationalized domains can be given in either form (`bücher.de` or `xn--bcher-kva.de`).
+   * @param {string[]} domains - The accepted domains.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  allowDomains(domains, options = {}) {
+    const asciiDomains = domains.map(toAsciiDomain);
+    return this.#addDomainRule((domain) => matchesDomain(domain, asciiDomains), {
+      code: 'domain_not_allowed',
+      key: 'email.domain_not_allowed',
+    }, options);
+  }
+
+  /**
+   * Rejects addresses of the given domains or their subdomains.
+   * @param {string[]} domains - The rejected domains.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
    */
-  
-  #email(value, errorMessage) {
-    const emailPattern = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-    return this.#regex(emailPattern, value, errorMessage);
+  denyDomains(domains, options = {}) {
+    const asciiDomains = domains.map(toAsciiDomain);
+    return this.#addDomainRule((domain) => !matchesDomain(domain, asciiDomains), {
+      code: 'domain_denied',
+      key: 'email.domain_denied',
+    }, options);
+  }
+
+  /**
+   * Rejects addresses of disposable email services such as Mailinator or 10 Minute Mail, using the bundled list of
+   * the disposable-email-domains project, which is loaded on first use. Combine with `denyDomains()` for services missing from the list.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  notDisposable(options = {}) {
+    return this.#addDomainRule((domain) => domain.startsWith('[') || !isDisposableDomain(domain), {
+      code: 'disposable_email',
+      key: 'email.disposable',
+    }, options);
+  }
+
+  /**
+   * Adds an async rule checking that the domain can receive mail: it must have MX records, or A/AAAA records as a fallback.
+   * Answers are cached by the validator, so define it once rather than on each request.
+   * Typos of common providers, such as `gmial.com`, get a "did you mean" suggestion in the message and in `params.suggestion`.
+   * Validators with this rule must be run with `validateAsync()`.
+   * @param {Object} [options] - Optional parameters.
+   * @param {Object} [options.resolver=dns.promises] - The DNS resolver, with `resolveMx`, `resolve4` and `resolve6` methods.
+   *   Pass a stub in tests so that no network is needed.
+   * @param {number} [options.timeout=5000] - Milliseconds to wait for the DNS answers.
+   * @param {number} [options.cacheTtl=600000] - Milliseconds an answer is cached. 0 disables the cache.
+   * @param {string|boolean} [options.typos='suggest'] - `suggest` adds the suggestion when the domain cannot receive mail,
+   *   `reject` also rejects likely typos that do receive mail, and `false` disables suggestions.
+   * @param {boolean} [options.failOpen=false] - Accept the address when the DNS lookup times out or fails, so that an outage does not block signups.
+   * @param {string} [options.message] - Custom error message.
+   */
+  deliverable(options = {}) {
+    const { typos = 'suggest', failOpen = false } = options;
+    if (!['suggest', 'reject', false].includes(typos)) {
+      throw new Error(`Invalid typos option "${typos}". Use suggest, reject or false.`);
+    }
+    const checkDomain = createDomainChecker(options);
+
+    this.#asyncRules.push(async (value, fieldName) => {
+      const address = parseEmail(value, this.#parseOptions);
+      if (address.error || address.asciiDomain.startsWith('[')) {
+        return { valid: true, value }; // Invalid formats are reported by the synchronous check, and IP addresses need no lookup
+      }
+
+      const { local, domain, asciiDomain } = address;
+      const suggestedDomain = typos ? suggestDomain(asciiDomain) : null;
+      const params = suggestedDomain ? { domain, suggestion: `${local}@${suggestedDomain}` } : { domain };
+
+      if (suggestedDomain && typos === 'reject') {
+        return { valid: false, error: createIssue('domain_typo', { key: 'email.typo', field: fieldName, params, message: options.message }) };
+      }
+
+      const status = await checkDomain(asciiDomain);
+      if (status === 'deliverable' || (failOpen && (status === 'timeout' || status === 'error'))) {
+        return { valid: true, value };
+      }
+      if (status === 'timeout') {
+        return {
+          valid: false,
+          error: createIssue('timeout', {
+            key: 'email.dns_timeout',
+            field: fieldName,
+            params: { domain, timeout: options.timeout ?? 5000 },
+            message: options.message,
+          }),
+        };
+      }
+      if (status === 'error') {
+        return {
+          valid: false,
+          error: createIssue('dns_unavailable', { key: 'email.dns_unavailable', field: fieldName, params: { domain }, message: options.message }),
+        };
+      }
+      return {
+        valid: false,
+        error: createIssue('undeliverable_email', {
+          key: suggestedDomain ? 'email.undeliverable_suggestion' : 'email.undeliverable',
+          field: fieldName,
+          params,
+          message: options.message,
+        }),
+      };
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Returns the address normalized in `data`, so that different spellings of the same mailbox compare equal
+   * (e.g. to check that an address is not registered twice).
+   * @param {Object} [options] - Optional parameters.
+   * @param {boolean} [options.lowercaseDomain=true] - Lower-case the domain. Domains are case-insensitive.
+   * @param {boolean} [options.stripTags=false] - Remove `+tags` from the local part (`john+news@x.com` becomes `john@x.com`).
+   * @param {boolean} [options.gmailDots=false] - Remove dots from the local part of Gmail addresses (`j.doe@gmail.com` becomes `jdoe@gmail.com`).
+   * @param {string} [options.domain] - Return the domain in `ascii` (punycode) or `unicode` form.
+   */
+  normalize(options = {}) {
+    if (options.domain !== undefined && !['ascii', 'unicode'].includes(options.domain)) {
+      throw new Error(`Invalid domain form "${options.domain}". Use ascii or unicode.`);
+    }
+    this.#normalization = options;
+    return this; // Enable chaining
   }
 
   /**
@@ -57,16 +221,57 @@ class EmailValidator {
    * @param {string} [options.message] - Custom error message.
    */
   max(length, options = {}) {
-    const message = `must be no more than ${length} characters long.`;
     this.#rules.push((value,fieldName) => {
       if (value.length > length) {
-        return { valid: false, error: options.message || `${fieldName} ${message}` };
+        return {
+          valid: false,
+          error: createIssue('too_big', {
+            key: 'email.max',
+            field: fieldName,
+            params: { max: length },
+            message: options.message,
+          }),
+        };
       }
-      return { valid: true, data: value };
+      return { valid: true, value };
     });
     return this; // Enable chaining
   }
 
+  /**
+   * Adds a custom rule.
+   * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  custom(check, options = {}) {
+    this.#rules.push(createCustomRule(check, options));
+    return this;
+  }
+
+  /**
+   * Adds a transform applied to the validated data, after every rule has passed (e.g. trimming or mapping to a domain object).
+   * Transforms run in the order they are added and are skipped for `null` values.
+   * @param {Function} transform - Function `(value) => newValue`.
+   */
+  transform(transform) {
+    this.#transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Adds an async rule, such as a uniqueness check against a database.
+   * Validators with async rules must be run with `validateAsync()`.
+   * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   */
+  customAsync(check, options = {}) {
+    this.#asyncRules.push(createAsyncRule(check, options));
+    return this;
+  }
+
    /**
  * Validates the provided string against all applied #rules.
  * Checks if the string satisfies each rule in `#rules`, collecting errors if any.
@@ -76,13 +281,44 @@ class EmailValidator {
  * @param {string} [options.fieldName='value'] - The name of the field being validated. 
  *                                            Defaults to 'value' if not provided. 
  *                                            It helps to customize error messages for specific fields.
+ * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
  * @returns {Object} - Validation result:
  *   - `valid` (`boolean`): True if all #rules pass, otherwise false.
- *   - `errors` (`string[]`): An array of error messages, if validation fails.
- *   - `data` (`string|null`): The validated string if valid, otherwise null.
+ *   - `errors` (`string[]|Object[]`): An array of error messages, if validation fails.
+ *   - `data` (`string|null`): The validated string if valid, normalized if `normalize()` is set, otherwise null.
+   */
+  validate(value, options = {}) {
+    assertNoAsyncRules(this.#asyncRules, 'EmailValidator');
+    return finishResult(this.#validateSync(value, options), this.#transforms, options, 'Email');
+  }
+
+  /**
+   * Validates the provided value like `validate()`, then runs the async rules added with `customAsync()`.
+   * Async rules run concurrently, and only once the synchronous rules pass.
+   *
+   * @param {string|null} value - The value to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='Email'] - The name of the field being validated.
+   * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+   */
+  async validateAsync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'Email');
+    const result = this.#validateSync(value, options);
+
+    if (!result.valid || result.data === null) {
+      return finishResult(result, this.#transforms, options, 'Email');
+    }
+
+    const asyncResult = await validateAsyncRules(result.data, fieldName, this.#asyncRules);
+    const finalResult = asyncResult.isValid ? result : { valid: false, errors: asyncResult.errors };
+    return finishResult(finalResult, this.#transforms, options, 'Email');
+  }
+
+  /**
+   * Runs the presence, type and synchronous rule checks shared by `validate()` and `validateAsync()`.
    */
-  validate(value,options = {}) {
-    const {fieldName = 'Email'} = options;
+  #validateSync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'Email');
     let errors = [];
     let validData = value;
     let isValid = true;
@@ -92,37 +328,44 @@ class EmailValidator {
       if (this.#allowNull) {
         return { valid: true, data: null }; // Return null if email is allowed to be null
       }
-      errors.push(`${fieldName} is required`);
+      errors.push(createIssue('required', { field: fieldName }));
       isValid = false;
       validData = null;
     } else {
       // Ensure the value is a string (assuming it's a basic string input)
       if (typeof value !== 'string') {
-        errors.push(`${fieldName} must be a string`);
+        errors.push(createIssue('invalid_type', {
+          key: 'email.type',
+          field: fieldName,
+          params: { expected: 'string' },
+        }));
         isValid = false;
         validData = null;
       } else {
         // Apply email format validation
-        const emailValidation = this.#email(value, this.#message);
+        const emailValidation = this.#email(value, fieldName);
+        const address = emailValidation.valid ? emailValidation.address : null;
         if (!emailValidation.valid) {
           errors.push(emailValidation.error);
           isValid = false;
           validData = null;
-        } else {
-          validData = emailValidation.data;
         }
 
         // Apply additional rules from the `#rules` array
         for (let rule of this.#rules) {
-          const result = rule(value,fieldName);
+          const result = rule(value, fieldName, address);
           if (!result.valid) {
             errors.push(result.error);
             isValid = false;
             validData = null; // Reset validData if invalid
           } else {
-            validData = result.data; // Update validData if valid
+            validData = result.value; // Update validData if valid
           }
         }
+
+        if (isValid && this.#normalization) {
+          validData = normalizeEmail(address, this.#normalization);
+        }
       }
     }
 
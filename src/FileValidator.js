@@ -1,15 +1,38 @@
-const {mimeTypes} = require('./until/helper')
+const { resolveMimeTypes, acceptsMimeType } = require('./until/mimeRegistry');
+const { createCustomRule, finishResult, fieldLabel, createAsyncRule, validateAsyncRules, assertNoAsyncRules } = require('./until/validationHelper');
+const { createIssue } = require('./until/errorHelper');
+const fs = require('fs');
+const { detectFileType, matchesDetectedType, readFileHead, hashFileContent } = require('./until/fileSniffer');
+const { IMAGE_HEAD_SIZE, readImageInfo } = require('./until/imageInfo');
+const { INVALID_MEDIA, mediaSource, ffprobe, mediaDuration } = require('./until/mediaProbe');
 /**
  * Class for validating file uploads with customizable rules.
- * Supports file type, size, and required presence validation.
+ * Supports file type, size, content sniffing and required presence validation.
+ * Files can be browser-style `{ type, size }` objects, multer or formidable file objects, Buffers or paths.
  */
 class FileValidator {
   #rules; // Private attribute for storing validation rules
+  #asyncRules; // Private attribute for storing async validation rules
+  #transforms; // Private attribute for storing transforms applied to valid data
   #allowNull; // Private attribute for nullable file option
+  #sniff; // Private attribute for content sniffing options, null when disabled
+  #mediaRules; // Private attribute for rules checked against ffprobe metadata
+  #countRules; // Private attribute for rules on the number of files
+  #collectionRules; // Private attribute for rules on all the files together
+  #failFast; // Private attribute for stopping at the first invalid file
+  #probe; // Private attribute for the function reading media metadata
 
   constructor() {
     this.#rules = []; // Initialize rules array
+    this.#asyncRules = []; // Async rules, run by validateAsync()
+    this.#transforms = []; // Run on the data once every rule passes
     this.#allowNull = false; // Default is not allowing null files
+    this.#sniff = null; // Default is trusting the declared MIME type
+    this.#mediaRules = []; // Media rules, run by validateAsync()
+    this.#probe = ffprobe; // Default is ffprobe through fluent-ffmpeg
+    this.#countRules = [];
+    this.#collectionRules = [];
+    this.#failFast = false; // Default is reporting every invalid file
   }
 
   /**
@@ -20,45 +43,51 @@ class FileValidator {
     return this; // Enable chaining
   }
 
+  /**
+   * Detects the file type from its content (magic numbers) instead of trusting the declared MIME type.
+   * Files whose declared type does not match their content are rejected, and `type()` checks the detected type.
+   * The content is read from a Buffer, a path, or the `buffer`/`path`/`filepath` of a multer or formidable file.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message when the content does not match the declared type.
+   */
+  sniff(options = {}) {
+    this.#sniff = { message: options.message };
+    return this; // Enable chaining
+  }
+
   /**
    * Adds a rule to validate the file type (e.g., MIME type).
-   * @param {string[]} allowedTypes - List of allowed MIME types.
+   * @param {string[]} allowedTypes - List of allowed types: extensions (`jpg`), MIME types (`image/jpeg`)
+   *   or wildcard groups (`image/*`). Extensions are resolved through the MIME registry, including aliases.
    * @param {Object} [options] - Optional parameters.
    * @param {string} [options.message] - Custom error message.
    */
-  type(allowedExtensions, options = {}) { 
+  type(allowedTypes, options = {}) {
+    const accepted = resolveMimeTypes(allowedTypes);
 
-    // Validate extensions and collect MIME types
-    const allowedMimeTypes = [];
-    const invalidExtensions = [];
-  
-    allowedExtensions.forEach(ext => {
-      const mimeType = mimeTypes[ext.toLowerCase()];
-      if (mimeType) {
-        allowedMimeTypes.push(mimeType);
-      } else {
-        invalidExtensions.push(ext);
-      }
-    });
-  
-    // Throw an error if any extensions are invalid
-    if (invalidExtensions.length > 0) {
+    // Throw an error if any extensions are unknown
+    if (accepted.unknown.length > 0) {
       throw new Error(
-        `Invalid file extensions provided: ${invalidExtensions.join(', ')}.`
+        `Invalid file extensions provided: ${accepted.unknown.join(', ')}. Register them with registerMimeType() first.`
       );
     }
-  
-    // Validation message
-    const message = `must be of type: ${allowedExtensions.join(', ')}`;
-  
+
     // Add rule to the validator
-    this.#rules.push((file,fieldName) => {
-      if (!allowedMimeTypes.includes(file.type)) {
-        return { valid: false, error: options.message || `${fieldName} ${message}` };
+    this.#rules.push((file, fieldName, meta) => {
+      if (!acceptsMimeType(meta.type, accepted)) {
+        return {
+          valid: false,
+          error: createIssue('invalid_file_type', {
+            key: 'file.type',
+            field: fieldName,
+            params: { types: allowedTypes },
+            message: options.message,
+          }),
+        };
       }
       return { valid: true, data: file };
     });
-  
+
     return this; // Enable chaining
   }
 
@@ -69,18 +98,356 @@ class FileValidator {
    * @param {string} [options.message] - Custom error message.
    */
   maxSize(maxSizeMB, options = {}) {
-    const message =`size must not exceed ${maxSizeMB} MB`;
     const maxSizeBytes = maxSizeMB * 1024 * 1024; // Convert MB to bytes
 
-    this.#rules.push((file,fieldName) => {
-      if (file.size > maxSizeBytes) {
-        return { valid: false, error: options.message || `${fieldName} ${message}` };
+    this.#rules.push((file, fieldName, meta) => {
+      if (meta.size > maxSizeBytes) {
+        return {
+          valid: false,
+          error: createIssue('file_too_large', {
+            key: 'file.max_size',
+            field: fieldName,
+            params: { maxSize: maxSizeMB },
+            message: options.message,
+          }),
+        };
       }
       return { valid: true, data: file };
     });
     return this; // Enable chaining
   }
 
+  /**
+   * Adds a rule to validate the pixel size and aspect ratio of PNG, JPEG, GIF and WebP images.
+   * The size is read from the image header, so the content must be available (Buffer, path, multer or formidable file).
+   * @param {Object} constraints - The constraints to check.
+   * @param {number} [constraints.minWidth] - Minimum width in pixels.
+   * @param {number} [constraints.maxWidth] - Maximum width in pixels.
+   * @param {number} [constraints.minHeight] - Minimum height in pixels.
+   * @param {number} [constraints.maxHeight] - Maximum height in pixels.
+   * @param {number|string} [constraints.ratio] - Aspect ratio as width divided by height, or a string like `'16:9'`.
+   * @param {number} [constraints.ratioTolerance=0.01] - Allowed difference from the aspect ratio.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  dimensions(constraints, options = {}) {
+    const { minWidth, maxWidth, minHeight, maxHeight, ratio, ratioTolerance = 0.01 } = constraints;
+    const expectedRatio = typeof ratio === 'string' ? this.#parseRatio(ratio) : ratio;
+
+    this.#rules.push((file, fieldName, meta) => {
+      const image = this.#imageInfo(file, meta);
+      if (image.error) {
+        return { valid: false, error: image.error(fieldName) };
+      }
+
+      const { width, height } = image;
+      const checks = [
+        [minWidth != null && width < minWidth, 'image_too_small', 'file.min_width', { minWidth }],
+        [maxWidth != null && width > maxWidth, 'image_too_big', 'file.max_width', { maxWidth }],
+        [minHeight != null && height < minHeight, 'image_too_small', 'file.min_height', { minHeight }],
+        [maxHeight != null && height > maxHeight, 'image_too_big', 'file.max_height', { maxHeight }],
+        [expectedRatio != null && Math.abs(width / height - expectedRatio) > ratioTolerance, 'invalid_aspect_ratio', 'file.ratio', { ratio }],
+      ];
+
+      const failed = checks.find(([fails]) => fails);
+      if (failed) {
+        const [, code, key, params] = failed;
+        return {
+          valid: false,
+          error: createIssue(code, { key, field: fieldName, params: { ...params, width, height }, message: options.message }),
+        };
+      }
+      return { valid: true, data: file };
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Adds a rule to validate whether an image is animated (animated GIF, APNG or animated WebP).
+   * @param {boolean} [allowed=true] - `false` to reject animated images, `true` to require them.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  animated(allowed = true, options = {}) {
+    this.#rules.push((file, fieldName, meta) => {
+      const image = this.#imageInfo(file, meta);
+      if (image.error) {
+        return { valid: false, error: image.error(fieldName) };
+      }
+
+      if (image.animated !== allowed) {
+        return {
+          valid: false,
+          error: createIssue(allowed ? 'not_animated' : 'animated', {
+            key: allowed ? 'file.not_animated' : 'file.animated',
+            field: fieldName,
+            message: options.message,
+          }),
+        };
+      }
+      return { valid: true, data: file };
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Adds a rule to ensure at least the given number of files is uploaded.
+   * @param {number} count - The minimum number of files.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  minFiles(count, options = {}) {
+    this.#countRules.push((total, fieldName) => {
+      if (total < count) {
+        return {
+          valid: false,
+          error: createIssue('too_small', {
+            key: 'file.min_files',
+            field: fieldName,
+            params: { min: count },
+            message: options.message,
+          }),
+        };
+      }
+      return { valid: true };
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Adds a rule to ensure no more than the given number of files is uploaded.
+   * @param {number} count - The maximum number of files.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  maxFiles(count, options = {}) {
+    this.#countRules.push((total, fieldName) => {
+      if (total > count) {
+        return {
+          valid: false,
+          error: createIssue('too_big', {
+            key: 'file.max_files',
+            field: fieldName,
+            params: { max: count },
+            message: options.message,
+          }),
+        };
+      }
+      return { valid: true };
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Adds a rule to validate the total size of all the files together.
+   * @param {number} maxSizeMB - Maximum allowed total size in MB.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  totalMaxSize(maxSizeMB, options = {}) {
+    const maxSizeBytes = maxSizeMB * 1024 * 1024; // Convert MB to bytes
+
+    this.#collectionRules.push((entries, fieldName) => {
+      const totalSize = entries.reduce((total, entry) => total + entry.meta.size, 0);
+      if (totalSize > maxSizeBytes) {
+        return {
+          valid: false,
+          errors: [createIssue('files_too_large', {
+            key: 'file.total_max_size',
+            field: fieldName,
+            params: { maxSize: maxSizeMB, totalSize },
+            message: options.message,
+          })],
+        };
+      }
+      return { valid: true };
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Adds a rule to reject files uploaded more than once. The first copy passes and every later copy fails.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.by='name'] - Compare the original file names (`name`) or a SHA-256 hash of the content (`hash`).
+   * @param {string} [options.message] - Custom error message.
+   */
+  unique(options = {}) {
+    const { by = 'name' } = options;
+
+    this.#collectionRules.push((entries, fieldName, label) => {
+      const seen = new Map();
+      const errors = [];
+
+      for (let entry of entries) {
+        const key = by === 'hash' ? hashFileContent(entry.file) : this.#fileName(entry.file);
+        if (key == null) {
+          continue; // Files without a name or readable content cannot be compared
+        }
+
+        if (seen.has(key)) {
+          errors.push(createIssue('duplicate_file', {
+            key: 'file.duplicate',
+            field: label(entry.index),
+            params: { index: entry.index, duplicateOf: seen.get(key) },
+            values: { duplicate: label(seen.get(key)) },
+            message: options.message,
+          }));
+        } else {
+          seen.set(key, entry.index);
+        }
+      }
+
+      return errors.length ? { valid: false, errors } : { valid: true };
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Stops the validation at the first invalid file instead of reporting every file.
+   */
+  failFast() {
+    this.#failFast = true;
+    return this; // Enable chaining
+  }
+
+  /**
+   * Sets the function used to read the metadata of audio and video files, instead of ffprobe.
+   * @param {Function} probe - Function `(source, file) => Promise<Object>` resolving to ffprobe-style metadata
+   *   (`{ format: { duration }, streams: [{ codec_type, codec_name, width, height }] }`). `source` is a path or a Buffer.
+   *   To report a file that is not valid media, reject with an error whose `code` is `INVALID_MEDIA`; other errors are rethrown.
+   */
+  probe(probe) {
+    this.#probe = probe;
+    return this; // Enable chaining
+  }
+
+  /**
+   * Adds a rule to validate the duration of an audio or video file, read with ffprobe.
+   * Media rules are async, so the validator must be run with `validateAsync()`.
+   * @param {Object} limits - The limits to check.
+   * @param {number} [limits.min] - Minimum duration in seconds.
+   * @param {number} [limits.max] - Maximum duration in seconds.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  duration(limits, options = {}) {
+    const { min, max } = limits;
+
+    this.#mediaRules.push((metadata, fieldName) => {
+      const duration = mediaDuration(metadata);
+      if (duration === null) {
+        return { valid: false, error: createIssue('invalid_media', { key: 'file.media', field: fieldName }) };
+      }
+
+      const checks = [
+        [min != null && duration < min, 'too_short', 'file.min_duration', { min }],
+        [max != null && duration > max, 'too_long', 'file.max_duration', { max }],
+      ];
+      return this.#mediaCheckResult(checks, fieldName, { duration }, options);
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Adds a rule to validate the resolution of the first video stream, read with ffprobe.
+   * Media rules are async, so the validator must be run with `validateAsync()`.
+   * @param {Object} limits - The limits to check.
+   * @param {number} [limits.minWidth] - Minimum width in pixels.
+   * @param {number} [limits.maxWidth] - Maximum width in pixels.
+   * @param {number} [limits.minHeight] - Minimum height in pixels.
+   * @param {number} [limits.maxHeight] - Maximum height in pixels.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  resolution(limits, options = {}) {
+    const { minWidth, maxWidth, minHeight, maxHeight } = limits;
+
+    this.#mediaRules.push((metadata, fieldName) => {
+      const video = (metadata.streams || []).find((stream) => stream.codec_type === 'video');
+      if (!video) {
+        return { valid: false, error: createIssue('missing_video', { key: 'file.video', field: fieldName }) };
+      }
+
+      const { width, height } = video;
+      const checks = [
+        [minWidth != null && width < minWidth, 'resolution_too_small', 'file.min_width', { minWidth }],
+        [maxWidth != null && width > maxWidth, 'resolution_too_big', 'file.max_width', { maxWidth }],
+        [minHeight != null && height < minHeight, 'resolution_too_small', 'file.min_height', { minHeight }],
+        [maxHeight != null && height > maxHeight, 'resolution_too_big', 'file.max_height', { maxHeight }],
+      ];
+      return this.#mediaCheckResult(checks, fieldName, { width, height }, options);
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Adds a rule to ensure every audio and video stream uses one of the allowed codecs (ffprobe `codec_name`,
+   * e.g. `h264`, `vp9`, `aac`, `opus`). Media rules are async, so the validator must be run with `validateAsync()`.
+   * @param {string[]} allowedCodecs - The allowed codec names.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.streamType] - Only check streams of this type (`video` or `audio`).
+   * @param {string} [options.message] - Custom error message.
+   */
+  codecs(allowedCodecs, options = {}) {
+    const { streamType } = options;
+    const allowed = allowedCodecs.map((codec) => codec.toLowerCase());
+
+    this.#mediaRules.push((metadata, fieldName) => {
+      const streams = (metadata.streams || []).filter((stream) =>
+        streamType ? stream.codec_type === streamType : ['video', 'audio'].includes(stream.codec_type)
+      );
+      const invalid = streams.find((stream) => !allowed.includes(String(stream.codec_name).toLowerCase()));
+
+      if (invalid) {
+        return {
+          valid: false,
+          error: createIssue('invalid_codec', {
+            key: 'file.codecs',
+            field: fieldName,
+            params: { codecs: allowedCodecs, codec: invalid.codec_name },
+            message: options.message,
+          }),
+        };
+      }
+      return { valid: true, data: metadata };
+    });
+    return this; // Enable chaining
+  }
+
+  /**
+   * Adds a custom rule.
+   * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  custom(check, options = {}) {
+    this.#rules.push(createCustomRule(check, options));
+    return this;
+  }
+
+  /**
+   * Adds a transform applied to the validated data, after every rule has passed (e.g. trimming or mapping to a domain object).
+   * Transforms run in the order they are added and are skipped for `null` values.
+   * @param {Function} transform - Function `(value) => newValue`.
+   */
+  transform(transform) {
+    this.#transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Adds an async rule, such as a uniqueness check against a database.
+   * Validators with async rules must be run with `validateAsync()`.
+   * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   */
+  customAsync(check, options = {}) {
+    this.#asyncRules.push(createAsyncRule(check, options));
+    return this;
+  }
+
   /**
    * Validates the provided file(s) against all applied #rules.
    * Supports both single file and multiple files.
@@ -88,65 +455,344 @@ class FileValidator {
    * @param {File|File[]|null} files - A single file, array of files, or null.
    * @param {Object} [options] - Optional parameters for the validation.
    * @param {string} [options.fieldName='file'] - The name of the field being validated.
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
    * @returns {Object} - Validation result:
    *   - `valid` (`boolean`): True if all files pass, otherwise false.
-   *   - `errors` (`string[]`): An array of error messages, if validation fails.
+   *   - `errors` (`string[]|Object[]`): An array of error messages, if validation fails.
    *   - `data` (`File[]|File|null`): The validated file(s) if valid, otherwise null.
+   *   - `passed` / `failed` (`number[]`): The positions of the files that passed and failed, if validation fails.
    */
   validate(files, options = {}) {
-    const { fieldName = "file" } = options;
+    assertNoAsyncRules([...this.#asyncRules, ...this.#mediaRules], 'FileValidator');
+    return finishResult(this.#validateSync(files, options), this.#transforms, options, 'file');
+  }
+
+  /**
+   * Validates the provided value like `validate()`, then runs the async rules added with `customAsync()`
+   * and the media rules (`duration()`, `resolution()` and `codecs()`).
+   * Async rules run concurrently, and only once the synchronous rules pass.
+   *
+   * @param {File|File[]|null} files - A single file, array of files, or null.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='file'] - The name of the field being validated.
+   * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+   */
+  async validateAsync(files, options = {}) {
+    const fieldName = fieldLabel(options, 'file');
+    const result = this.#validateSync(files, options);
+
+    if (!result.valid || result.data === null) {
+      return finishResult(result, this.#transforms, options, 'file');
+    }
+
+    const fileArray = Array.isArray(files) ? files : [files];
+    const [asyncResult, mediaErrors] = await Promise.all([
+      validateAsyncRules(result.data, fieldName, this.#asyncRules),
+      Promise.all(fileArray.map((file, i) =>
+        this.#validateMedia(file, Array.isArray(files) ? `${fieldName}[${i}]` : fieldName)
+          .then((issues) => issues.map((issue) => this.#withIndex(issue, i)))
+      )),
+    ]);
+
+    const errors = [...asyncResult.errors, ...mediaErrors.flat()];
+    if (errors.length === 0) {
+      return finishResult(result, this.#transforms, options, 'file');
+    }
+
+    const positions = fileArray.map((file, i) => i);
+    return finishResult({ valid: false, errors, data: null, ...this.#splitByFile(positions, errors) }, this.#transforms, options, 'file');
+  }
+
+  /**
+   * Reads the metadata of a file with the probe and runs the media rules against it.
+   * @param {*} file - The file.
+   * @param {string} fieldName - The name of the file in messages.
+   * @returns {Promise<Object[]>} - The issues of the failed rules.
+   */
+  async #validateMedia(file, fieldName) {
+    if (this.#mediaRules.length === 0) {
+      return [];
+    }
+
+    const source = mediaSource(file);
+    if (source === null) {
+      return [createIssue('file_unreadable', { key: 'file.unreadable', field: fieldName })];
+    }
+
+    let metadata;
+    try {
+      metadata = await this.#probe(source, file);
+    } catch (error) {
+      // Only content ffprobe cannot read is the user's fault: a missing or broken ffprobe must reach the caller
+      if (error.code !== INVALID_MEDIA) {
+        throw error;
+      }
+      return [createIssue('invalid_media', { key: 'file.media', field: fieldName })];
+    }
+
+    return this.#mediaRules
+      .map((rule) => rule(metadata, fieldName))
+      .filter((result) => !result.valid)
+      .map((result) => result.error);
+  }
+
+  /**
+   * Turns the first failed check of a media rule into its result.
+   * @param {Array[]} checks - `[fails, code, key, params]` for each limit.
+   * @param {string} fieldName - The name of the file in messages.
+   * @param {Object} measured - The measured values, reported with the params.
+   * @param {Object} options - The options of the rule.
+   * @returns {Object} - The rule result.
+   */
+  #mediaCheckResult(checks, fieldName, measured, options) {
+    const failed = checks.find(([fails]) => fails);
+    if (!failed) {
+      return { valid: true, data: measured };
+    }
+
+    const [, code, key, params] = failed;
+    return {
+      valid: false,
+      error: createIssue(code, { key, field: fieldName, params: { ...params, ...measured }, message: options.message }),
+    };
+  }
+
+  /**
+   * Runs the presence, type and synchronous rule checks shared by `validate()` and `validateAsync()`.
+   */
+  #validateSync(files, options = {}) {
+    const fieldName = fieldLabel(options, 'file');
     const errors = [];
-    const validatedFiles = [];
-    let isValid = true;
+    const checked = []; // Positions of the files read so far, as `failFast()` can stop before the last one
   
     // Check if files are null or empty, and null is allowed
     if (files == null || (Array.isArray(files) && files.length === 0)) {
       if (this.#allowNull) {
         return { valid: true, data: null };
       }
-      errors.push(`${fieldName} is required`);
+      errors.push(createIssue('required', { field: fieldName }));
       return { valid: false, errors, data: null };
     }
   
     // Normalize single file to an array
     const fileArray = Array.isArray(files) ? files : [files];
+    const label = (index) => (Array.isArray(files) ? `${fieldName}[${index}]` : fieldName);
+
+    const entries = [];
+    const failedResult = () => ({ valid: false, errors, data: null, ...this.#splitByFile(checked, errors) });
+
+    // Rules on the number of files run first, so large uploads are rejected before reading any file
+    for (let rule of this.#countRules) {
+      const result = rule(fileArray.length, fieldName);
+      if (!result.valid) {
+        errors.push(result.error);
+        if (this.#failFast) {
+          return failedResult();
+        }
+      }
+    }
   
     // Iterate over each file
     for (let i = 0; i < fileArray.length; i++) {
-      const file = fileArray[i];
-  
-      // Validate if the file is a valid object
-      if (typeof file !== "object" || !file.type || !file.size) {
-        errors.push(`${fieldName} ${i} invalid format`);
-        isValid = false;
-        continue;
-      }
-  
-      let fileIsValid = true;
-  
-      // Apply each rule to the current file
-      for (let rule of this.#rules) {
-        const result = rule(file, `${fieldName} ${i}`);
-        if (!result.valid) {
-          errors.push(result.error);
-          fileIsValid = false;
-          isValid = false;
-          break; // Stop checking rules for this file
+      checked.push(i);
+      const issue = this.#validateFile(fileArray[i], i, label(i), entries);
+      if (issue) {
+        errors.push(issue);
+        if (this.#failFast) {
+          return failedResult();
         }
       }
-  
-      if (fileIsValid) {
-        validatedFiles.push(file); // Add valid file
+    }
+
+    // Rules on the whole collection, such as the total size and duplicates
+    for (let rule of this.#collectionRules) {
+      const result = rule(entries, fieldName, label);
+      if (!result.valid) {
+        errors.push(...result.errors);
+        if (this.#failFast) {
+          break;
+        }
       }
     }
-  
+
+    if (errors.length > 0) {
+      return failedResult();
+    }
+
     // Determine the return structure: single object or array
+    const validatedFiles = entries.map((entry) => entry.file);
     const finalData =
       validatedFiles.length === 1 ? validatedFiles[0] : validatedFiles;
   
-    return isValid
-      ? { valid: true, data: finalData }
-      : { valid: false, errors, data: null };
+    return { valid: true, data: finalData };
+  }
+
+  /**
+   * Checks that a file is valid and runs the rules of each file against it.
+   * @param {*} file - The file.
+   * @param {number} index - The position of the file in the upload.
+   * @param {string} fieldName - The name of the file in messages (e.g. `gallery[3]`).
+   * @param {Object[]} entries - The files that passed, collected for the collection rules.
+   * @returns {Object|null} - The issue of the first failed check, or null if the file is valid.
+   */
+  #validateFile(file, index, fieldName, entries) {
+    const meta = this.#describe(file);
+
+    // Validate if the file is a valid object
+    if (!meta) {
+      return createIssue('invalid_file', { key: 'file.invalid', field: fieldName, params: { index } });
+    }
+
+    // Check the content against the declared type
+    const contentIssue = this.#checkContent(file, meta, fieldName);
+    if (contentIssue) {
+      return this.#withIndex(contentIssue, index);
+    }
+
+    // Apply each rule to the current file, stopping at the first failure
+    for (let rule of this.#rules) {
+      const result = rule(file, fieldName, meta);
+      if (!result.valid) {
+        return this.#withIndex(result.error, index);
+      }
+    }
+
+    entries.push({ file, meta, index });
+    return null;
+  }
+
+  /**
+   * Splits the files into those that passed and those that failed, from the `params.index` of every per-file issue.
+   * Issues about the whole upload, such as the number of files, fail none of them.
+   * @param {number[]} positions - The positions of the files that were checked.
+   * @param {Object[]} errors - The issues of the validation.
+   * @returns {Object} - `passed` and `failed`, the sorted positions.
+   */
+  #splitByFile(positions, errors) {
+    const failed = new Set(errors.map((issue) => issue.params?.index).filter(Number.isInteger));
+    return {
+      passed: positions.filter((index) => !failed.has(index)),
+      failed: [...failed].sort((a, b) => a - b),
+    };
+  }
+
+  /**
+   * Adds the position of the file to the params of an issue, for structured errors.
+   * @param {Object} issue - The issue.
+   * @param {number} index - The position of the file in the upload.
+   * @returns {Object} - The issue with `params.index`.
+   */
+  #withIndex(issue, index) {
+    return { ...issue, params: { ...issue.params, index } };
+  }
+
+  /**
+   * Reads the size of an image once per file, for the `dimensions()` and `animated()` rules.
+   * @param {*} file - The file.
+   * @param {Object} meta - The file description, where the result is cached.
+   * @returns {Object} - `{ width, height, animated }`, or `{ error }` with a function `(fieldName) => issue`.
+   */
+  #imageInfo(file, meta) {
+    if (!meta.image) {
+      const head = readFileHead(file, IMAGE_HEAD_SIZE);
+      const image = head && readImageInfo(head);
+
+      if (!head) {
+        meta.image = { error: (fieldName) => createIssue('file_unreadable', { key: 'file.unreadable', field: fieldName }) };
+      } else if (!image) {
+        meta.image = { error: (fieldName) => createIssue('invalid_image', { key: 'file.image', field: fieldName }) };
+      } else {
+        meta.image = image;
+      }
+    }
+    return meta.image;
+  }
+
+  /**
+   * Returns the original name of a file: `originalname` (multer), `originalFilename` (formidable v2+) or `name`.
+   * @param {*} file - The file.
+   * @returns {string|null} - The name, or null if it is unknown.
+   */
+  #fileName(file) {
+    if (!file || typeof file !== 'object' || Buffer.isBuffer(file)) {
+      return typeof file === 'string' ? file : null;
+    }
+    return file.originalname || file.originalFilename || file.name || null;
+  }
+
+  /**
+   * Parses an aspect ratio written as `'16:9'` or `'16/9'`.
+   * @param {string} ratio - The aspect ratio.
+   * @returns {number} - The width divided by the height.
+   */
+  #parseRatio(ratio) {
+    const [width, height] = ratio.split(/[:/]/).map(Number);
+    if (!width || !height) {
+      throw new Error(`Invalid aspect ratio provided: ${ratio}.`);
+    }
+    return width / height;
+  }
+
+  /**
+   * Reads the declared type and size of a file.
+   * @param {*} file - A file object, Buffer or path.
+   * @returns {Object|null} - `{ type, declaredType, size }`, or null if the value is not a valid file.
+   */
+  #describe(file) {
+    if (Buffer.isBuffer(file)) {
+      return file.length ? { type: null, declaredType: null, size: file.length } : null;
+    }
+
+    if (typeof file === 'string') {
+      try {
+        const stats = fs.statSync(file);
+        return stats.isFile() && stats.size ? { type: null, declaredType: null, size: stats.size } : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    // Browser and formidable v1 files use `type`, multer and formidable v2+ use `mimetype`
+    const declaredType = file && typeof file === 'object' ? file.type || file.mimetype : null;
+    if (!declaredType || !file.size) {
+      return null;
+    }
+    return { type: declaredType, declaredType, size: file.size };
+  }
+
+  /**
+   * Detects the type of a file from its content when sniffing is enabled, or when nothing is declared
+   * (Buffers and paths), and records it as the type checked by `type()`.
+   * @param {*} file - The file.
+   * @param {Object} meta - The file description from `#describe()`, updated with the detected type.
+   * @param {string} fieldName - The name of the file in messages.
+   * @returns {Object|null} - An issue if the content cannot be read or does not match the declared type.
+   */
+  #checkContent(file, meta, fieldName) {
+    if (!this.#sniff && meta.declaredType) {
+      return null;
+    }
+
+    const head = readFileHead(file);
+    if (!head) {
+      return createIssue('file_unreadable', { key: 'file.unreadable', field: fieldName });
+    }
+
+    const detected = detectFileType(head);
+    if (!meta.declaredType) {
+      meta.type = detected ? detected.mime : null;
+      return null;
+    }
+
+    if (!detected || !matchesDetectedType(meta.declaredType, detected)) {
+      return createIssue('file_type_mismatch', {
+        key: 'file.type_mismatch',
+        field: fieldName,
+        params: { declared: meta.declaredType, detected: detected ? detected.mime : null },
+        message: this.#sniff.message,
+      });
+    }
+    return null;
   }
   
 }
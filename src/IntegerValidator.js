@@ -1,10 +1,24 @@
+const { validateRules, createCustomRule, finishResult, fieldLabel, createAsyncRule, validateAsyncRules, assertNoAsyncRules } = require('./until/validationHelper');
+const { createIssue } = require('./until/errorHelper');
+const { coerceInteger } = require('./until/coerceHelper');
+
 class IntegerValidator {
   #rules;
+  #asyncRules;
+  #transforms;
   #allowNull;
+  #coerce;
 
-  constructor() {
+  /**
+   * @param {Object} [options] - Optional parameters.
+   * @param {boolean} [options.coerce=false] - Parse whole-number strings (e.g. from a query string) into integers.
+   */
+  constructor(options = {}) {
     this.#rules = [];
+    this.#asyncRules = []; // Async rules, run by validateAsync()
+    this.#transforms = []; // Run on the data once every rule passes
     this.#allowNull = false; // Default is to not allow null
+    this.#coerce = options.coerce === true; // Strict by default: strings are rejected
   }
 
   /**
@@ -23,14 +37,7 @@ class IntegerValidator {
    * @param {string} [options.message] - Custom error message.
    */
   min(minValue, options = {}) {
-    const message = `must be greater than or equal to ${minValue}`;
-    this.#rules.push((value,fieldName) => {
-      if (value < minValue) {
-        return { valid: false, error: options.message || `${fieldName} ${message}`};
-      }
-      return { valid: true, value };
-    });
-    return this;
+    return this.#addRule((value) => value >= minValue, { code: 'too_small', key: 'integer.min', params: { min: minValue } }, options);
   }
 
   /**
@@ -40,10 +47,32 @@ class IntegerValidator {
    * @param {string} [options.message] - Custom error message.
    */
   max(maxValue, options = {}) {
-    const message = `must be less than or equal to ${maxValue}`;
-    this.#rules.push((value,fieldName) => {
-      if (value > maxValue) {
-        return { valid: false, error: options.message || `${fieldName} ${message}`};
+    return this.#addRule((value) => value <= maxValue, { code: 'too_big', key: 'integer.max', params: { max: maxValue } }, options);
+  }
+
+  /**
+   * Ensures the integer value is between `minValue` and `maxValue`, both included.
+   * The error code is `too_small` or `too_big`, depending on the side the value is out of range.
+   * @param {number} minValue - Minimum value the integer should be.
+   * @param {number} maxValue - Maximum value the integer should be.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  between(minValue, maxValue, options = {}) {
+    if (minValue > maxValue) {
+      throw new Error('between() expects the minimum to be less than or equal to the maximum.');
+    }
+    this.#rules.push((value, fieldName) => {
+      if (value < minValue || value > maxValue) {
+        return {
+          valid: false,
+          error: createIssue(value < minValue ? 'too_small' : 'too_big', {
+            key: 'integer.between',
+            field: fieldName,
+            params: { min: minValue, max: maxValue },
+            message: options.message,
+          }),
+        };
       }
       return { valid: true, value };
     });
@@ -53,76 +82,205 @@ class IntegerValidator {
   /**
    * Ensures the integer value is positive (greater than 0).
    * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
    */
   positive(options = {}) {
-    const message = 'must be a positive number';
-    this.#rules.push((value,fieldName) => {
-      if (value <= 0) {
-        return { valid: false, error: options.message || `${fieldName} ${message}` };
-      }
-      return { valid: true, value };
-    });
+    return this.#addRule((value) => value > 0, { code: 'not_positive', key: 'integer.positive' }, options);
+  }
+
+  /**
+   * Ensures the integer value is negative (less than 0).
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  negative(options = {}) {
+    return this.#addRule((value) => value < 0, { code: 'not_negative', key: 'integer.negative' }, options);
+  }
+
+  /**
+   * Ensures the integer value is not negative (0 or more).
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  nonnegative(options = {}) {
+    return this.#addRule((value) => value >= 0, { code: 'too_small', key: 'integer.nonnegative', params: { min: 0 } }, options);
+  }
+
+  /**
+   * Ensures the integer value is a multiple of `step` (e.g. `multipleOf(15)` for minutes in quarter hours).
+   * @param {number} step - The step, a positive integer.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  multipleOf(step, options = {}) {
+    if (!Number.isSafeInteger(step) || step <= 0) {
+      throw new Error('multipleOf() expects a positive integer step.');
+    }
+    return this.#addRule((value) => value % step === 0, {
+      code: 'not_multiple_of',
+      key: 'integer.multiple_of',
+      params: { multipleOf: step },
+    }, options);
+  }
+
+  /**
+   * Ensures the integer value is one of the allowed values.
+   * @param {number[]} values - The allowed values.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  oneOf(values, options = {}) {
+    const allowed = new Set(values);
+    return this.#addRule((value) => allowed.has(value), { code: 'invalid_enum', key: 'integer.one_of', params: { values } }, options);
+  }
+
+  /**
+   * Adds a custom rule.
+   * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  custom(check, options = {}) {
+    this.#rules.push(createCustomRule(check, options));
+    return this;
+  }
+
+  /**
+   * Adds a transform applied to the validated data, after every rule has passed (e.g. trimming or mapping to a domain object).
+   * Transforms run in the order they are added and are skipped for `null` values.
+   * @param {Function} transform - Function `(value) => newValue`.
+   */
+  transform(transform) {
+    this.#transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Adds an async rule, such as a uniqueness check against a database.
+   * Validators with async rules must be run with `validateAsync()`.
+   * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   */
+  customAsync(check, options = {}) {
+    this.#asyncRules.push(createAsyncRule(check, options));
     return this;
   }
 
-   /**
- * Validates the provided string against all applied #rules.
- * Checks if the string satisfies each rule in `#rules`, collecting errors if any.
- * 
- * @param {string|null} value - The string to validate.
- * @param {Object} [options] - Optional parameters for the validation.
- * @param {string} [options.fieldName='value'] - The name of the field being validated. 
- *                                            Defaults to 'value' if not provided. 
- *                                            It helps to customize error messages for specific fields.
- * @returns {Object} - Validation result:
- *   - `valid` (`boolean`): True if all #rules pass, otherwise false.
- *   - `errors` (`string[]`): An array of error messages, if validation fails.
- *   - `data` (`string|null`): The validated string if valid, otherwise null.
-   */
-   validate(value, options = {}) {
-    const { fieldName = 'value' } = options;
+  /**
+   * Validates the provided value against all applied rules.
+   * Integers outside the safe range (±`Number.MAX_SAFE_INTEGER`) are rejected, as they cannot be represented
+   * exactly: use `bigint()` for them.
+   *
+   * @param {number|null} value - The integer to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   *                                            Defaults to 'value' if not provided.
+   *                                            It helps to customize error messages for specific fields.
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+   * @returns {Object} - Validation result:
+   *   - `valid` (`boolean`): True if all rules pass, otherwise false.
+   *   - `errors` (`string[]|Object[]`): An array of error messages, if validation fails.
+   *   - `data` (`number|null`): The validated integer if valid, otherwise null.
+   */
+  validate(value, options = {}) {
+    assertNoAsyncRules(this.#asyncRules, 'IntegerValidator');
+    return finishResult(this.#validateSync(value, options), this.#transforms, options, 'value');
+  }
+
+  /**
+   * Validates the provided value like `validate()`, then runs the async rules added with `customAsync()`.
+   * Async rules run concurrently, and only once the synchronous rules pass.
+   *
+   * @param {number|string|null} value - The value to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+   */
+  async validateAsync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'value');
+    const result = this.#validateSync(value, options);
+
+    if (!result.valid || result.data === null) {
+      return finishResult(result, this.#transforms, options, 'value');
+    }
+
+    const asyncResult = await validateAsyncRules(result.data, fieldName, this.#asyncRules);
+    const finalResult = asyncResult.isValid ? result : { valid: false, errors: asyncResult.errors };
+    return finishResult(finalResult, this.#transforms, options, 'value');
+  }
+
+  /**
+   * Runs the presence, type and synchronous rule checks shared by `validate()` and `validateAsync()`.
+   */
+  #validateSync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'value');
     let errors = [];
-    let validData = value;
     let isValid = true;
 
-    // Check if value is null or empty
-    if (value == null || value.length === 0) {
+    if (this.#coerce) {
+      value = coerceInteger(value);
+    }
+    let validData = value;
+
+    // Check if value is null or an empty string (e.g. an empty form field)
+    if (value == null || value === '') {
       if (this.#allowNull) {
         return { valid: true, data: null }; // Pass validation for null/empty if nullable
       }
-      errors.push(`${fieldName} is required`);
+      errors.push(createIssue('required', { field: fieldName }));
+      isValid = false;
+      validData = null;
+    } else if (typeof value !== 'number' || !Number.isInteger(value)) {
+      errors.push(createIssue('invalid_type', {
+        key: 'integer.type',
+        field: fieldName,
+        params: { expected: 'integer' },
+      }));
+      isValid = false;
+      validData = null;
+    } else if (!Number.isSafeInteger(value)) {
+      errors.push(createIssue('unsafe_number', {
+        key: 'integer.safe',
+        field: fieldName,
+        params: { min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER },
+      }));
       isValid = false;
       validData = null;
     } else {
-      // Convert string to number if needed, while still checking for other errors
-      if (typeof value === 'string') {
-        value = parseInt(value, 10); // Try converting string to integer
-      }
-
-      // Validate if value is a number and an integer
-      if (typeof value !== 'number' || !Number.isInteger(value)) {
-        errors.push(`${fieldName} must be an integer`);
+      const ruleValidationResult = validateRules(value, fieldName, this.#rules);
+      if (!ruleValidationResult.isValid) {
         isValid = false;
+        errors.push(...ruleValidationResult.errors);
         validData = null;
       } else {
-        // Additional rules
-        for (let rule of this.#rules) {
-          const result = rule(value);
-          if (!result.valid) {
-            errors.push(result.error);
-            isValid = false;
-            validData = null;
-          } else {
-            validData = result.value;
-          }
-        }
+        validData = ruleValidationResult.value;
       }
     }
 
     return isValid ? { valid: true, data: validData } : { valid: false, errors };
-}
+  }
+
+  /**
+   * Adds a rule checking the value with a predicate.
+   *
+   * @param {Function} test - Function `(value) => boolean`, given a safe integer.
+   * @param {Object} issue - The `code`, `key` and `params` of the error.
+   * @param {Object} options - The `message` option of the rule.
+   * @returns {IntegerValidator} - The instance, for chaining.
+   */
+  #addRule(test, issue, options) {
+    const { code, key, params } = issue;
 
-  
+    this.#rules.push((value, fieldName) => {
+      if (!test(value)) {
+        return { valid: false, error: createIssue(code, { key, field: fieldName, params, message: options.message }) };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
 }
 
 module.exports = IntegerValidator; // Ensure you export the class
@@ -0,0 +1,335 @@
+const { validateRules, createCustomRule, finishResult, fieldLabel, createAsyncRule, validateAsyncRules, assertNoAsyncRules } = require('./until/validationHelper');
+const { createIssue } = require('./until/errorHelper');
+const { coerceNumber, coerceDecimal } = require('./until/coerceHelper');
+const { isDecimalString, parseDecimal, compareDecimals, isMultipleOfDecimal, countDecimals } = require('./until/decimalHelper');
+
+class NumberValidator {
+  #rules;
+  #asyncRules;
+  #transforms;
+  #allowNull;
+  #coerce;
+  #decimal;
+
+  /**
+   * @param {Object} [options] - Optional parameters.
+   * @param {boolean} [options.coerce=false] - Parse numeric strings (e.g. from a query string) into numbers.
+   * @param {boolean} [options.decimal=false] - Validate decimal strings (e.g. `'19.99'`) instead of numbers. The rules compare
+   *   them exactly, without converting them to floating point, and the validated data is the original string.
+   */
+  constructor(options = {}) {
+    this.#rules = [];
+    this.#asyncRules = []; // Async rules, run by validateAsync()
+    this.#transforms = []; // Run on the data once every rule passes
+    this.#allowNull = false; // Default is to not allow null
+    this.#coerce = options.coerce === true; // Strict by default: strings are rejected
+    this.#decimal = options.decimal === true; // Decimal strings for money amounts, never converted to numbers
+  }
+
+  /**
+   * Allows the value to be `null`.
+   * @returns {NumberValidator} - The `NumberValidator` instance with the nullable flag enabled.
+   */
+  nullable() {
+    this.#allowNull = true;
+    return this;
+  }
+
+  /**
+   * Ensures the value is greater than or equal to `minValue`.
+   * @param {number|string} minValue - Minimum value. Use a string for exact decimal limits (e.g. `'0.01'`).
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  min(minValue, options = {}) {
+    this.#assertLimit(minValue, 'min');
+    return this.#addRule((value) => compareDecimals(value, minValue) >= 0, {
+      code: 'too_small',
+      key: 'number.min',
+      params: { min: minValue },
+    }, options);
+  }
+
+  /**
+   * Ensures the value is less than or equal to `maxValue`.
+   * @param {number|string} maxValue - Maximum value.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  max(maxValue, options = {}) {
+    this.#assertLimit(maxValue, 'max');
+    return this.#addRule((value) => compareDecimals(value, maxValue) <= 0, {
+      code: 'too_big',
+      key: 'number.max',
+      params: { max: maxValue },
+    }, options);
+  }
+
+  /**
+   * Ensures the value is strictly greater than `limit`.
+   * @param {number|string} limit - The value must be greater than this.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  gt(limit, options = {}) {
+    this.#assertLimit(limit, 'gt');
+    return this.#addRule((value) => compareDecimals(value, limit) > 0, {
+      code: 'too_small',
+      key: 'number.gt',
+      params: { gt: limit },
+    }, options);
+  }
+
+  /**
+   * Ensures the value is strictly less than `limit`.
+   * @param {number|string} limit - The value must be less than this.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  lt(limit, options = {}) {
+    this.#assertLimit(limit, 'lt');
+    return this.#addRule((value) => compareDecimals(value, limit) < 0, {
+      code: 'too_big',
+      key: 'number.lt',
+      params: { lt: limit },
+    }, options);
+  }
+
+  /**
+   * Ensures the value is greater than 0.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  positive(options = {}) {
+    return this.#addRule((value) => compareDecimals(value, 0) > 0, { code: 'not_positive', key: 'number.positive' }, options);
+  }
+
+  /**
+   * Ensures the value is less than 0.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  negative(options = {}) {
+    return this.#addRule((value) => compareDecimals(value, 0) < 0, { code: 'not_negative', key: 'number.negative' }, options);
+  }
+
+  /**
+   * Ensures the value is greater than or equal to 0.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  nonnegative(options = {}) {
+    return this.#addRule((value) => compareDecimals(value, 0) >= 0, {
+      code: 'too_small',
+      key: 'number.nonnegative',
+      params: { min: 0 },
+    }, options);
+  }
+
+  /**
+   * Ensures the value is a multiple of `step`. The check is exact, so `0.3` is a multiple of `0.1`.
+   * @param {number|string} step - The step, greater than 0.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  multipleOf(step, options = {}) {
+    this.#assertLimit(step, 'multipleOf');
+    if (parseDecimal(step) === null || compareDecimals(step, 0) <= 0) {
+      throw new Error('multipleOf() expects a step greater than 0.');
+    }
+    return this.#addRule((value) => isMultipleOfDecimal(value, step), {
+      code: 'not_multiple_of',
+      key: 'number.multiple_of',
+      params: { multipleOf: step },
+    }, options);
+  }
+
+  /**
+   * Ensures the value has at most `decimals` decimal places. Trailing zeros are not counted, so `'12.50'` passes `precision(2)`.
+   * @param {number} decimals - The maximum number of decimal places.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  precision(decimals, options = {}) {
+    return this.#addRule((value) => countDecimals(value) <= decimals, {
+      code: 'too_precise',
+      key: 'number.precision',
+      params: { precision: decimals },
+    }, options);
+  }
+
+  /**
+   * Ensures the value is finite. `NaN` is always rejected; this also rejects `Infinity` and `-Infinity`.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  finite(options = {}) {
+    return this.#addRule((value) => typeof value === 'string' || Number.isFinite(value), { code: 'not_finite', key: 'number.finite' }, options);
+  }
+
+  /**
+   * Ensures the value is within the safe integer range (±`Number.MAX_SAFE_INTEGER`), where integers are exact.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  safe(options = {}) {
+    return this.#addRule(
+      (value) => compareDecimals(value, Number.MIN_SAFE_INTEGER) >= 0 && compareDecimals(value, Number.MAX_SAFE_INTEGER) <= 0,
+      {
+        code: 'unsafe_number',
+        key: 'number.safe',
+        params: { min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER },
+      },
+      options
+    );
+  }
+
+  /**
+   * Adds a custom rule.
+   * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  custom(check, options = {}) {
+    this.#rules.push(createCustomRule(check, options));
+    return this;
+  }
+
+  /**
+   * Adds a transform applied to the validated data, after every rule has passed (e.g. rounding or formatting).
+   * Transforms run in the order they are added and are skipped for `null` values.
+   * @param {Function} transform - Function `(value) => newValue`.
+   */
+  transform(transform) {
+    this.#transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Adds an async rule, such as a check against a database.
+   * Validators with async rules must be run with `validateAsync()`.
+   * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   */
+  customAsync(check, options = {}) {
+    this.#asyncRules.push(createAsyncRule(check, options));
+    return this;
+  }
+
+  /**
+   * Validates the provided value against all applied rules.
+   *
+   * @param {number|string|null} value - The number, or the decimal string in decimal mode.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+   * @returns {Object} - Validation result:
+   *   - `valid` (`boolean`): True if all rules pass, otherwise false.
+   *   - `errors` (`string[]|Object[]`): An array of error messages, if validation fails.
+   *   - `data` (`number|string|null`): The validated value if valid, otherwise null.
+   */
+  validate(value, options = {}) {
+    assertNoAsyncRules(this.#asyncRules, 'NumberValidator');
+    return finishResult(this.#validateSync(value, options), this.#transforms, options, 'value');
+  }
+
+  /**
+   * Validates the provided value like `validate()`, then runs the async rules added with `customAsync()`.
+   * Async rules run concurrently, and only once the synchronous rules pass.
+   *
+   * @param {number|string|null} value - The value to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+   */
+  async validateAsync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'value');
+    const result = this.#validateSync(value, options);
+
+    if (!result.valid || result.data === null) {
+      return finishResult(result, this.#transforms, options, 'value');
+    }
+
+    const asyncResult = await validateAsyncRules(result.data, fieldName, this.#asyncRules);
+    const finalResult = asyncResult.isValid ? result : { valid: false, errors: asyncResult.errors };
+    return finishResult(finalResult, this.#transforms, options, 'value');
+  }
+
+  /**
+   * Throws when a limit cannot be compared exactly, so that mistakes fail when the validator is defined.
+   *
+   * @param {number|string} limit - The limit: a number (`Infinity` included) or a plain decimal string.
+   * @param {string} method - The rule, used in the error message.
+   */
+  #assertLimit(limit, method) {
+    if (limit !== Infinity && limit !== -Infinity && parseDecimal(limit) === null) {
+      throw new Error(`${method}() expects a number or a plain decimal string such as '0.01', got ${JSON.stringify(String(limit))}.`);
+    }
+  }
+
+  /**
+   * Adds a rule checking the value with a predicate.
+   *
+   * @param {Function} test - Function `(value) => boolean`, given a number or a decimal string.
+   * @param {Object} issue - The `code`, `key` and `params` of the error.
+   * @param {Object} options - The `message` option of the rule.
+   * @returns {NumberValidator} - The instance, for chaining.
+   */
+  #addRule(test, issue, options) {
+    const { code, key, params } = issue;
+
+    this.#rules.push((value, fieldName) => {
+      if (!test(value)) {
+        return { valid: false, error: createIssue(code, { key, field: fieldName, params, message: options.message }) };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Runs the presence, type and synchronous rule checks shared by `validate()` and `validateAsync()`.
+   */
+  #validateSync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'value');
+    let errors = [];
+    let isValid = true;
+
+    if (this.#coerce) {
+      value = this.#decimal ? coerceDecimal(value) : coerceNumber(value);
+    }
+    let validData = value;
+
+    if (value == null || value === '') {
+      if (this.#allowNull) {
+        return { valid: true, data: null }; // Pass validation for null/empty if nullable
+      }
+      errors.push(createIssue('required', { field: fieldName }));
+      isValid = false;
+      validData = null;
+    } else if (this.#decimal ? !isDecimalString(value) : typeof value !== 'number' || Number.isNaN(value)) {
+      errors.push(createIssue('invalid_type', {
+        key: this.#decimal ? 'number.decimal_type' : 'number.type',
+        field: fieldName,
+        params: { expected: this.#decimal ? 'decimal' : 'number' },
+      }));
+      isValid = false;
+      validData = null;
+    } else {
+      const ruleValidationResult = validateRules(value, fieldName, this.#rules);
+      if (!ruleValidationResult.isValid) {
+        isValid = false;
+        errors.push(...ruleValidationResult.errors);
+        validData = null;
+      } else {
+        validData = ruleValidationResult.value;
+      }
+    }
+
+    return isValid ? { valid: true, data: validData } : { valid: false, errors };
+  }
+}
+
+module.exports = NumberValidator;
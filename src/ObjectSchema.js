@@ -1,73 +1,642 @@
+const {
+  joinPath,
+  mergeErrors,
+  applyTransforms,
+  createAsyncRule,
+  validateWithAsync,
+  assertNoAsyncRules,
+  fieldLabel,
+} = require('./until/validationHelper');
+const { createIssue, formatIssues, layoutErrors } = require('./until/errorHelper');
+const { resolveLabel } = require('./until/i18n');
+
 class ObjectSchema {
+  #allowNull;
+  #refinements;
+  #asyncRefinements;
+  #unknownKeys;
+  #unknownKeyMessage;
+  #optionalKeys;
+  #transforms;
+  #labels;
+
   /**
    * Initializes the schema for validation.
    * @param {Object} schema - An object where each key represents a field, and the value is a validator with a `validate` method.
    */
   constructor(schema) {
     this.schema = schema;
+    this.#allowNull = false; // Default is to not allow null
+    this.#refinements = []; // Cross-field rules, run after the fields
+    this.#asyncRefinements = []; // Async cross-field rules, run by parseDataAsync()
+    this.#unknownKeys = 'strip'; // How keys that are not in the schema are handled
+    this.#unknownKeyMessage = null;
+    this.#optionalKeys = new Set(); // Keys made optional by `partial()`
+    this.#transforms = []; // Run on the validated data once every rule passes
+    this.#labels = {}; // Field labels shown in messages, keyed by field name
+  }
+
+  /**
+   * Allows the object to be `null` when the schema is used as a nested field.
+   */
+  nullable() {
+    this.#allowNull = true;
+    return this;
+  }
+
+  /**
+   * Drops keys that are not defined in the schema from the validated data. This is the default.
+   */
+  strip() {
+    this.#unknownKeys = 'strip';
+    return this;
+  }
+
+  /**
+   * Rejects keys that are not defined in the schema, with an error for each one.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  strict(options = {}) {
+    this.#unknownKeys = 'strict';
+    this.#unknownKeyMessage = options.message || null;
+    return this;
+  }
+
+  /**
+   * Keeps keys that are not defined in the schema untouched in the validated data.
+   */
+  passthrough() {
+    this.#unknownKeys = 'passthrough';
+    return this;
+  }
+
+  /**
+   * Sets the labels shown in messages instead of the field names. Each label is a string
+   * or a map of locales to strings (e.g. `{ en: 'Email', de: 'E-Mail' }`).
+   * @param {Object} labels - Labels keyed by field name.
+   */
+  labels(labels) {
+    this.#labels = { ...this.#labels, ...labels };
+    return this;
+  }
+
+  /**
+   * Adds a transform applied to the validated data once the fields and cross-field rules pass
+   * (e.g. mapping the data to a domain object). Transforms are not carried over to derived schemas.
+   * @param {Function} transform - Function `(data) => newValue`.
+   */
+  transform(transform) {
+    this.#transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Returns a new schema with additional fields. Fields with the same name are replaced.
+   * @param {Object} shape - Fields to add, in the same format as the constructor.
+   * @returns {ObjectSchema} - The derived schema.
+   */
+  extend(shape) {
+    return this.#derive({ ...this.schema, ...shape });
+  }
+
+  /**
+   * Returns a new schema combining the fields and cross-field rules of both schemas.
+   * Fields and the unknown-key mode of `other` take precedence.
+   * @param {ObjectSchema} other - The schema to merge in.
+   * @returns {ObjectSchema} - The derived schema.
+   */
+  merge(other) {
+    const merged = this.#derive({ ...this.schema, ...other.schema });
+    merged.#refinements.push(...other.#refinements);
+    merged.#asyncRefinements.push(...other.#asyncRefinements);
+    merged.#unknownKeys = other.#unknownKeys;
+    merged.#unknownKeyMessage = other.#unknownKeyMessage;
+    merged.#labels = { ...merged.#labels, ...other.#labels };
+    other.#optionalKeys.forEach((key) => merged.#optionalKeys.add(key));
+    return merged;
+  }
+
+  /**
+   * Returns a new schema with only the given fields. Cross-field rules are not carried over.
+   * @param {string[]} keys - The fields to keep.
+   * @returns {ObjectSchema} - The derived schema.
+   */
+  pick(keys) {
+    const shape = {};
+    for (let key of keys) {
+      if (Object.prototype.hasOwnProperty.call(this.schema, key)) {
+        shape[key] = this.schema[key];
+      }
+    }
+    return this.#derive(shape, { refinements: false });
+  }
+
+  /**
+   * Returns a new schema without the given fields. Cross-field rules are not carried over.
+   * @param {string[]} keys - The fields to remove.
+   * @returns {ObjectSchema} - The derived schema.
+   */
+  omit(keys) {
+    const shape = { ...this.schema };
+    for (let key of keys) {
+      delete shape[key];
+    }
+    return this.#derive(shape, { refinements: false });
+  }
+
+  /**
+   * Returns a new schema where the fields are optional: a missing field is left out of
+   * the validated data and a `null` field is returned as `null` without running its rules.
+   * @param {string[]} [keys] - The fields to make optional. Defaults to every field.
+   * @returns {ObjectSchema} - The derived schema.
+   */
+  partial(keys = Object.keys(this.schema)) {
+    const partial = this.#derive(this.schema);
+    keys.forEach((key) => partial.#optionalKeys.add(key));
+    return partial;
+  }
+
+  /**
+   * Returns a new schema where fields made optional by `partial()` are required again.
+   * @param {string[]} [keys] - The fields to make required. Defaults to every field.
+   * @returns {ObjectSchema} - The derived schema.
+   */
+  required(keys = Object.keys(this.schema)) {
+    const required = this.#derive(this.schema);
+    keys.forEach((key) => required.#optionalKeys.delete(key));
+    return required;
+  }
+
+  /**
+   * Creates a copy of this schema with a new set of fields, keeping its settings.
+   * @param {Object} shape - The fields of the new schema.
+   * @param {Object} [options] - Optional parameters.
+   * @param {boolean} [options.refinements=true] - Whether to copy the cross-field rules.
+   * @returns {ObjectSchema} - The new schema.
+   */
+  #derive(shape, options = {}) {
+    const { refinements = true } = options;
+    const derived = new ObjectSchema(shape);
+    derived.#allowNull = this.#allowNull;
+    derived.#unknownKeys = this.#unknownKeys;
+    derived.#unknownKeyMessage = this.#unknownKeyMessage;
+    derived.#labels = { ...this.#labels };
+    derived.#refinements = refinements ? [...this.#refinements] : [];
+    derived.#asyncRefinements = refinements ? [...this.#asyncRefinements] : [];
+    this.#optionalKeys.forEach((key) => {
+      if (Object.prototype.hasOwnProperty.call(shape, key)) {
+        derived.#optionalKeys.add(key);
+      }
+    });
+    return derived;
   }
 
   /**
    * Validates the provided data object against the schema.
    * @param {Object} data - The object to validate, where each key corresponds to a schema-defined field.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.path=''] - Path prefixed to every error key, used when the schema is nested.
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+   * @param {string} [options.errorFormat='map'] - Layout of the errors: `map` (keyed by path), `list` (flat array) or `tree` (nested by path).
+   * @param {string} [options.locale] - The locale of the error messages. Defaults to the current locale.
    * @returns {Object} - Validation result:
    *   - If valid:
    *     - `valid` (boolean): `true`.
    *     - `data` (Object): Cleaned and validated data object.
    *   - If invalid:
    *     - `valid` (boolean): `false`.
-   *     - `errors` (Object): An object with error messages, keyed by field name.
+   *     - `errors` (Object): An object with error messages, keyed by field path (e.g. `items.2.price`).
+   *     - `files` (Object): For invalid file fields, the positions of the files that `passed` and `failed`, keyed by field path.
+   */
+  parseData(data, options = {}) {
+    assertNoAsyncRules(this.#asyncRefinements, 'ObjectSchema', 'parseDataAsync');
+    const { path = '', structured = false, errorFormat = 'map', locale } = options;
+    const format = { structured, locale };
+    const results = {};
+
+    for (let key in this.schema) {
+      results[key] = this.#validateField(data, key, path, format, (validator, value, fieldOptions) =>
+        validator.validate(value, fieldOptions)
+      );
+    }
+
+    const { isValid, errors, validData, files } = this.#collect(data, path, results, format);
+    return isValid
+      ? applyTransforms({ valid: true, data: validData }, this.#transforms)
+      : { valid: false, errors: layoutErrors(errors, errorFormat), ...files };
+  }
+
+  /**
+   * Validates the provided data object like `parseData()`, with support for async rules.
+   * Fields are validated concurrently, and async cross-field rules run after them.
+   * @param {Object} data - The object to validate, where each key corresponds to a schema-defined field.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.path=''] - Path prefixed to every error key, used when the schema is nested.
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+   * @param {string} [options.errorFormat='map'] - Layout of the errors: `map`, `list` or `tree`.
+   * @param {string} [options.locale] - The locale of the error messages. Defaults to the current locale.
+   * @returns {Promise<Object>} - Resolves to the same result as `parseData()`.
+   */
+  async parseDataAsync(data, options = {}) {
+    const { path = '', structured = false, errorFormat = 'map', locale } = options;
+    const format = { structured, locale };
+    const keys = Object.keys(this.schema);
+    const settled = await Promise.all(
+      keys.map((key) => this.#validateField(data, key, path, format, validateWithAsync))
+    );
+
+    const results = {};
+    keys.forEach((key, index) => {
+      results[key] = settled[index];
+    });
+
+    const { isValid, errors, validData, files } = this.#collect(data, path, results, format);
+
+    // Async cross-field rules see the same data as the synchronous ones
+    const refineData = { ...data, ...validData };
+    const refinementResults = await Promise.all(this.#asyncRefinements.map((refinement) => refinement(refineData)));
+    const refinementsValid = refinementResults
+      .map((result) => this.#addRefinementError(errors, path, result, format))
+      .every(Boolean);
+
+    return isValid && refinementsValid
+      ? applyTransforms({ valid: true, data: validData }, this.#transforms)
+      : { valid: false, errors: layoutErrors(errors, errorFormat), ...files };
+  }
+
+  /**
+   * Validates a nested object against the schema, so that `v.object()` can be used as a field validator.
+   * @param {Object|null} value - The object to validate.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @param {string} [options.path=''] - Path of the object inside its parent schema.
+   * @param {boolean} [options.structured=false] - Return errors as structured objects instead of messages.
+   * @param {string} [options.errorFormat='map'] - Layout of the errors: `map`, `list` or `tree`.
+   * @param {string} [options.locale] - The locale of the error messages. Defaults to the current locale.
+   * @param {string|Object} [options.label] - Label used in messages instead of the field name, or a map of locales to labels.
+   * @returns {Object} - Validation result:
+   *   - `valid` (boolean): True if the object and all of its fields are valid.
+   *   - `errors` (Object): Error messages keyed by field path, if validation fails.
+   *   - `data` (Object|null): The validated object if valid.
+   */
+  validate(value, options = {}) {
+    const { fieldName = 'value', path = '' } = options;
+    return this.#checkObject(value, fieldLabel(options, 'value'), path || fieldName, options) || this.parseData(value, options);
+  }
+
+  /**
+   * Validates a nested object like `validate()`, through `parseDataAsync()`.
+   * @param {Object|null} value - The object to validate.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @param {string} [options.path=''] - Path of the object inside its parent schema.
+   * @param {boolean} [options.structured=false] - Return errors as structured objects instead of messages.
+   * @param {string} [options.errorFormat='map'] - Layout of the errors: `map`, `list` or `tree`.
+   * @param {string} [options.locale] - The locale of the error messages. Defaults to the current locale.
+   * @param {string|Object} [options.label] - Label used in messages instead of the field name, or a map of locales to labels.
+   * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+   */
+  async validateAsync(value, options = {}) {
+    const { fieldName = 'value', path = '' } = options;
+    return this.#checkObject(value, fieldLabel(options, 'value'), path || fieldName, options) || this.parseDataAsync(value, options);
+  }
+
+  /**
+   * Checks that a nested value is present and is a plain object.
+   * @param {*} value - The value to check.
+   * @param {string} fieldName - The label of the field used in messages.
+   * @param {string} key - The error key of the object.
+   * @param {Object} options - The `structured`, `errorFormat` and `locale` options of the validation.
+   * @returns {Object|null} - The final result if the value is null or not an object, otherwise null.
    */
-  parseData(data) {
+  #checkObject(value, fieldName, key, options) {
+    const { structured = false, errorFormat = 'map', locale } = options;
+    let issue;
+
+    if (value == null) {
+      if (this.#allowNull) {
+        return { valid: true, data: null };
+      }
+      issue = createIssue('required', { field: fieldName });
+    } else if (typeof value !== 'object' || Array.isArray(value)) {
+      issue = createIssue('invalid_type', { key: 'object.type', field: fieldName, params: { expected: 'object' } });
+    } else {
+      return null;
+    }
+
+    return { valid: false, errors: layoutErrors({ [key]: formatIssues([issue], key, { structured, locale }) }, errorFormat) };
+  }
+
+  /**
+   * Validates one field of the data with the given runner.
+   * @param {Object} data - The object being validated.
+   * @param {string} key - The field to validate.
+   * @param {string} path - The path of the object.
+   * @param {Object} format - How errors are formatted (`structured` and `locale`).
+   * @param {Function} run - Function `(validator, value, options)` returning the (possibly async) result.
+   * @returns {Object|Promise<Object>|null} - The field result, or null when an optional field is missing.
+   */
+  #validateField(data, key, path, format, run) {
+    const value = data[key] ?? null; // Handle missing keys as `null`
+    const fieldPath = joinPath(path, key);
+
+    // Optional fields skip their rules when missing or null
+    if (this.#optionalKeys.has(key) && value === null) {
+      return data[key] !== undefined ? { valid: true, data: null } : null;
+    }
+
+    // `parent` gives rules such as password().notContainsFields() access to the other fields
+    return run(this.schema[key], value, { fieldName: fieldPath, path: fieldPath, label: this.#labels[key], parent: data, ...format });
+  }
+
+  /**
+   * Combines the field results, handles unknown keys and runs the synchronous cross-field rules.
+   * @param {Object} data - The object being validated.
+   * @param {string} path - The path of the object.
+   * @param {Object} results - The field results, keyed by field name.
+   * @param {Object} format - How errors are formatted (`structured` and `locale`).
+   * @returns {Object} - `isValid`, `errors` keyed by path, the `validData` collected so far, and `files`:
+   *   `{ files }` with the files that passed and failed by field path, or an empty object when no file field failed.
+   */
+  #collect(data, path, results, format) {
     const errors = {};
     const validData = {};
+    const files = {};
     let isValid = true;
 
-    for (let key in this.schema) {
-      const validator = this.schema[key];
-      const value = data[key] ?? null; // Handle missing keys as `null`
-
-      // Check if the password field is being validated
-      if (key === 'password') {
-        // Validate password confirmation logic
-        const confirmationResult = this.#validatePasswordConfirmation(data);
-        if (!confirmationResult.valid) {
-          errors['password_confirmation'] = confirmationResult.error;
-          isValid = false;
-        }
+    for (let key in results) {
+      const result = results[key];
+      if (result === null) {
+        continue; // Missing optional field
       }
 
-      // Validate the current field
-      const result = validator.validate(value, { fieldName: key });
-
       if (!result.valid) {
-        errors[key] = result.errors;
+        mergeErrors(errors, joinPath(path, key), result.errors);
+        if (result.failed) {
+          files[joinPath(path, key)] = { passed: result.passed, failed: result.failed };
+        }
+        Object.assign(files, result.files); // Files of nested schemas, already keyed by their full path
         isValid = false;
       } else {
         validData[key] = result.data;
       }
     }
 
-    return isValid ? { valid: true, data: validData } : { valid: false, errors };
+    // Handle keys that are not defined in the schema
+    if (this.#unknownKeys !== 'strip') {
+      for (let key of Object.keys(data)) {
+        if (Object.prototype.hasOwnProperty.call(this.schema, key)) {
+          continue;
+        }
+
+        if (this.#unknownKeys === 'strict') {
+          const fieldPath = joinPath(path, key);
+          const issue = createIssue('unrecognized_key', {
+            key: 'object.unknown_key',
+            field: fieldPath,
+            params: { key },
+            message: this.#unknownKeyMessage,
+          });
+          errors[fieldPath] = formatIssues([issue], fieldPath, format);
+          isValid = false;
+        } else {
+          validData[key] = data[key];
+        }
+      }
+    }
+
+    // Run cross-field rules on the input, with validated values taking precedence
+    const refineData = { ...data, ...validData };
+    for (let refinement of this.#refinements) {
+      if (!this.#addRefinementError(errors, path, refinement(refineData), format)) {
+        isValid = false;
+      }
+    }
+
+    return { isValid, errors, validData, files: Object.keys(files).length > 0 ? { files } : {} };
   }
 
   /**
-   * Validates that the password and password_confirmation fields match.
-   * @param {Object} data - The data object being validated.
-   * @returns {Object} - Validation result:
-   *   - `valid` (boolean): True if the passwords match, false if they don't.
-   *   - `error` (string): Error message if the passwords don't match.
+   * Records the error of a failed cross-field rule, with the fields it names shown by their labels.
+   * @param {Object} errors - The errors map keyed by path.
+   * @param {string} path - The path of the object.
+   * @param {Object} result - The refinement result with `valid`, `path`, `error` and the optional `fields`
+   *   placeholders holding field names (e.g. `{ other: 'password' }`).
+   * @param {Object} format - How errors are formatted (`structured` and `locale`).
+   * @returns {boolean} - Whether the refinement passed.
+   */
+  #addRefinementError(errors, path, result, format) {
+    if (result.valid) {
+      return true;
+    }
+
+    const errorPath = result.path ? joinPath(path, result.path) : path || 'value';
+    const labelOf = (key) => resolveLabel(this.#labels[key], format.locale) || key;
+    const values = {};
+    for (let name in result.fields) {
+      values[name] = [].concat(result.fields[name]).map(labelOf).join(', ');
+    }
+
+    const issue = { ...result.error, field: result.path ? labelOf(result.path) : errorPath, values };
+    errors[errorPath] = [...(errors[errorPath] || []), ...formatIssues([issue], errorPath, format)];
+    return false;
+  }
+
+  /**
+   * Adds a cross-field rule that runs on the whole object after its fields have been validated.
+   * The check receives the input merged with the validated field values.
+   * @param {Function} check - Function `(data) => boolean`, returning `true` when the data is valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.path] - Field the error is reported on. Defaults to the object itself.
+   * @param {string} [options.message='Invalid value'] - Error message. `{field}` and the params can be used as placeholders.
+   * @param {string} [options.code='custom'] - Error code reported in structured errors.
+   * @param {Object} [options.params] - Values reported with the error in structured errors.
+   */
+  refine(check, options = {}) {
+    return this.#refine(check, { ...options, key: 'object.refine' });
+  }
+
+  /**
+   * Adds a cross-field rule whose message comes from the locale catalogs.
+   * @param {Function} check - Function `(data) => boolean`, returning `true` when the data is valid.
+   * @param {Object} options - The options of `refine()`, with the message `key` and the `fields`
+   *   placeholders that hold field names, shown by their labels.
+   */
+  #refine(check, options) {
+    const { path = '', key, message, code = 'custom', params = {}, fields = {} } = options;
+    this.#refinements.push((data) => {
+      const outcome = check(data);
+      if (outcome && typeof outcome.then === 'function') {
+        throw new Error(`The cross-field rule${path ? ` for ${path}` : ''} returned a Promise. Use refineAsync() instead.`);
+      }
+      if (!outcome) {
+        return { valid: false, path, fields, error: createIssue(code, { key, params, message }) };
+      }
+      return { valid: true };
+    });
+    return this;
+  }
+
+  /**
+   * Adds an async cross-field rule, such as checking that a combination of fields is unique.
+   * Schemas with async rules must be run with `parseDataAsync()`.
+   * @param {Function} check - Function `(data) => Promise<boolean>`, resolving to `true` when the data is valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.path] - Field the error is reported on. Defaults to the object itself.
+   * @param {string} [options.message='Invalid value'] - Error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   * @param {string} [options.code='custom'] - Error code reported in structured errors.
+   */
+  refineAsync(check, options = {}) {
+    const { path = '', message, timeout, code = 'custom' } = options;
+    const rule = createAsyncRule(check, { message, timeout, code, key: 'object.refine' });
+    this.#asyncRefinements.push(async (data) => ({ ...(await rule(data, path || 'value')), path }));
+    return this;
+  }
+
+  /**
+   * Ensures a field has the same value as another field (e.g. `password_confirmation` and `password`).
+   * @param {string} field - The field to check, where the error is reported.
+   * @param {string} otherField - The field it must match.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  sameAs(field, otherField, options = {}) {
+    return this.#refine((data) => data[field] === data[otherField], {
+      path: field,
+      key: 'object.same_as',
+      message: options.message,
+      code: 'not_same',
+      params: { other: otherField },
+      fields: { other: otherField },
+    });
+  }
+
+  /**
+   * Makes a field required when another field has the given value.
+   * @param {string} field - The field that becomes required.
+   * @param {string} otherField - The field whose value is checked.
+   * @param {*|Function} expected - The value to compare against, or a predicate `(value) => boolean`.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  requiredIf(field, otherField, expected, options = {}) {
+    const matches = typeof expected === 'function' ? expected : (value) => value === expected;
+    return this.#refine((data) => {
+      const matched = matches(data[otherField]);
+      // A Promise from an async predicate is returned as is, so that #refine() rejects it
+      return matched && typeof matched.then === 'function' ? matched : !matched || this.#isPresent(data[field]);
+    }, {
+      path: field,
+      key: 'object.required_if',
+      message: options.message,
+      code: 'required',
+      params: { other: otherField, value: expected },
+      fields: { other: otherField },
+    });
+  }
+
+  /**
+   * Makes a field required when any of the other fields is present.
+   * @param {string} field - The field that becomes required.
+   * @param {string|string[]} otherFields - The field(s) that trigger the requirement.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  requiredWith(field, otherFields, options = {}) {
+    const others = [].concat(otherFields);
+    return this.#refine((data) => !others.some((other) => this.#isPresent(data[other])) || this.#isPresent(data[field]), {
+      path: field,
+      key: 'object.required_with',
+      message: options.message,
+      code: 'required',
+      params: { others },
+      fields: { others },
+    });
+  }
+
+  /**
+   * Makes a field required when none of the other fields is present
+   * (e.g. either `phone` or `email` is required).
+   * @param {string} field - The field that becomes required.
+   * @param {string|string[]} otherFields - The field(s) that can replace it.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  requiredWithout(field, otherFields, options = {}) {
+    const others = [].concat(otherFields);
+    return this.#refine((data) => others.some((other) => this.#isPresent(data[other])) || this.#isPresent(data[field]), {
+      path: field,
+      key: 'object.required_without',
+      message: options.message,
+      code: 'required',
+      params: { others },
+      fields: { others },
+    });
+  }
+
+  /**
+   * Ensures a date field is after another date field. Skipped when either date is missing or invalid.
+   * @param {string} field - The field to check, where the error is reported.
+   * @param {string} otherField - The field it must come after.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  after(field, otherField, options = {}) {
+    return this.#refine((data) => this.#compareDates(data[field], data[otherField], (a, b) => a > b), {
+      path: field,
+      key: 'object.after',
+      message: options.message,
+      code: 'not_after',
+      params: { other: otherField },
+      fields: { other: otherField },
+    });
+  }
+
+  /**
+   * Ensures a date field is before another date field. Skipped when either date is missing or invalid.
+   * @param {string} field - The field to check, where the error is reported.
+   * @param {string} otherField - The field it must come before.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  before(field, otherField, options = {}) {
+    return this.#refine((data) => this.#compareDates(data[field], data[otherField], (a, b) => a < b), {
+      path: field,
+      key: 'object.before',
+      message: options.message,
+      code: 'not_before',
+      params: { other: otherField },
+      fields: { other: otherField },
+    });
+  }
+
+  /**
+   * Checks whether a value was provided (not null, empty string or empty array).
+   * @param {*} value - The value to check.
+   * @returns {boolean}
+   */
+  #isPresent(value) {
+    return value != null && value !== '' && !(Array.isArray(value) && value.length === 0);
+  }
+
+  /**
+   * Compares two date-like values (Date, timestamp or date string).
+   * @param {*} value - The value being checked.
+   * @param {*} other - The value it is compared against.
+   * @param {Function} compare - Comparison applied to both timestamps.
+   * @returns {boolean} - The comparison result, or `true` if either value is not a valid date.
    */
-  #validatePasswordConfirmation(data) {
-    const password = data['password'];
-    const confirmPassword = data['password_confirmation'];
+  #compareDates(value, other, compare) {
+    const toTime = (date) => (date instanceof Date ? date.getTime() : typeof date === 'string' ? Date.parse(date) : date);
+    const a = toTime(value);
+    const b = toTime(other);
 
-    // If password_confirmation is provided and doesn't match, return error
-    if (confirmPassword !== undefined && password !== confirmPassword) {
-      return { valid: false, error: ['Password do not match'] };
+    if (typeof a !== 'number' || typeof b !== 'number' || Number.isNaN(a) || Number.isNaN(b)) {
+      return true;
     }
-    
-    return { valid: true };
+    return compare(a, b);
   }
 }
 
@@ -1,9 +1,27 @@
+const { createCustomRule, finishResult, fieldLabel, createAsyncRule, validateAsyncRules, assertNoAsyncRules } = require('./until/validationHelper');
+const { createIssue } = require('./until/errorHelper');
+const { translate } = require('./until/i18n');
+const { CHARACTER_CLASSES, STRENGTH_LEVELS, characterClasses, findRun, estimateStrength, resolveStrengthLevel } = require('./until/passwordStrength');
+const { createListMatcher, createHashMatcher } = require('./until/passwordBlocklist');
+
+// Policies applied by preset(). `nist` follows NIST SP 800-63B: length over composition rules.
+const PRESETS = {
+  nist: (validator) => validator.min(8).max(64).maxRepeated(3).noSequences().notCommon(),
+  pci: (validator) => validator.min(12).containsNumber().minClasses(1, { classes: ['lowercase', 'uppercase'] }),
+  strong: (validator) =>
+    validator.min(12).minClasses(3).maxRepeated(2).noSequences().noKeyboardPatterns().notCommon().minStrength('strong'),
+};
+
 class PasswordValidator {
   #rules;
+  #asyncRules;
+  #transforms;
   #allowNull;
 
   constructor() {
     this.#rules = [];
+    this.#asyncRules = []; // Async rules, run by validateAsync()
+    this.#transforms = []; // Run on the data once every rule passes
     this.#allowNull = false; // Flag to indicate if null values are allowed
   }
 
@@ -11,14 +29,14 @@ class PasswordValidator {
    * Internal method to validate a string using a regular expression.
    * @param {RegExp} pattern - Regular expression pattern.
    * @param {string} value - Value to validate.
-   * @param {string} errorMessage - Error message for validation failure.
+   * @param {Object} error - Issue returned on validation failure.
    * @returns {Object} - Validation result:
    *   - `valid` (boolean): True if the value matches the pattern, otherwise false.
-   *   - `error` (string): Error message if validation fails.
+   *   - `error` (Object): The issue if validation fails.
    */
-  #regex(pattern, value, errorMessage) {
+  #regex(pattern, value, error) {
     if (!pattern.test(value)) {
-      return { valid: false, error: errorMessage };
+      return { valid: false, error };
     }
     return { valid: true, value };
   }
@@ -36,21 +54,20 @@ class PasswordValidator {
    */
   containsNumber() {
     const pattern = /[0-9]/;
-    const message = 'must contain at least one number.';
     this.#rules.push((value, fieldName) =>
-      this.#regex(pattern, value, `${fieldName} ${message}`)
+      this.#regex(pattern, value, createIssue('missing_number', { key: 'password.number', field: fieldName }))
     );
     return this;
   }
 
   /**
-   * Adds a rule to ensure the password contains at least one special character.
+   * Adds a rule to ensure the password contains at least one special character:
+   * any character that is not a letter or a digit, such as `-`, `_`, `~` or a space.
    */
   containsSpecialChar() {
-    const pattern = /[!@#$%^&*(),.?":{}|<>]/;
-    const message = 'must contain at least one special character.';
+    const pattern = CHARACTER_CLASSES.special.pattern;
     this.#rules.push((value, fieldName) =>
-      this.#regex(pattern, value, `${fieldName} ${message}`)
+      this.#regex(pattern, value, createIssue('missing_special_char', { key: 'password.special_char', field: fieldName }))
     );
     return this;
   }
@@ -60,51 +77,432 @@ class PasswordValidator {
    */
   containsUppercase() {
     const pattern = /[A-Z]/;
-    const message = 'must contain at least one uppercase letter.';
     this.#rules.push((value, fieldName) =>
-      this.#regex(pattern, value, `${fieldName} ${message}`)
+      this.#regex(pattern, value, createIssue('missing_uppercase', { key: 'password.uppercase', field: fieldName }))
+    );
+    return this;
+  }
+
+  /**
+   * Adds a rule to ensure the password contains at least one lowercase letter.
+   */
+  containsLowercase() {
+    const pattern = /\p{Ll}/u;
+    this.#rules.push((value, fieldName) =>
+      this.#regex(pattern, value, createIssue('missing_lowercase', { key: 'password.lowercase', field: fieldName }))
     );
     return this;
   }
 
-  confirmPassword(confirmPassword){
-    const message = 'Password do not match';
-    this.#rules.push((value,fieldName)=>{
-      if(value !== confirmPassword){
-        return {valid: false, error: `${message}`}
+  /**
+   * Adds a rule to ensure the password mixes at least `count` character classes.
+   * @param {number} count - The number of classes required.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string[]} [options.classes] - The classes counted: `lowercase`, `uppercase`, `number` and `special` (all by default).
+   * @param {string} [options.message] - Custom error message.
+   */
+  minClasses(count, options = {}) {
+    const { classes = Object.keys(CHARACTER_CLASSES) } = options;
+    const unknown = classes.filter((name) => !CHARACTER_CLASSES[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Invalid character classes: ${unknown.join(', ')}. Use lowercase, uppercase, number or special.`);
+    }
+
+    this.#rules.push((value, fieldName) => {
+      const found = characterClasses(value).filter((name) => classes.includes(name));
+      if (found.length < count) {
+        return {
+          valid: false,
+          error: createIssue('missing_character_classes', {
+            key: 'password.classes',
+            field: fieldName,
+            params: { min: count, classes },
+            message: options.message,
+          }),
+        };
       }
-      return {valid: true, value}
-    })
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a rule limiting how many times a character can be repeated in a row (`aaa` is 3 times).
+   * @param {number} [max=2] - The maximum number of repetitions.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  maxRepeated(max = 2, options = {}) {
+    this.#rules.push((value, fieldName) => {
+      const run = findRun(value, 'repeat', max + 1);
+      if (run !== null) {
+        return {
+          valid: false,
+          error: createIssue('too_many_repeats', { key: 'password.repeated', field: fieldName, params: { max, run }, message: options.message }),
+        };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a rule rejecting sequences of letters or digits, such as `abcd` or `4321`.
+   * @param {Object} [options] - Optional parameters.
+   * @param {number} [options.minLength=4] - The shortest sequence rejected.
+   * @param {string} [options.message] - Custom error message.
+   */
+  noSequences(options = {}) {
+    const { minLength = 4 } = options;
+    this.#rules.push((value, fieldName) => {
+      const sequence = findRun(value, 'sequence', minLength);
+      if (sequence !== null) {
+        return {
+          valid: false,
+          error: createIssue('contains_sequence', { key: 'password.sequence', field: fieldName, params: { sequence }, message: options.message }),
+        };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a rule rejecting runs of adjacent keys on a QWERTY keyboard, such as `qwerty` or `asdf`.
+   * @param {Object} [options] - Optional parameters.
+   * @param {number} [options.minLength=4] - The shortest pattern rejected.
+   * @param {string} [options.message] - Custom error message.
+   */
+  noKeyboardPatterns(options = {}) {
+    const { minLength = 4 } = options;
+    this.#rules.push((value, fieldName) => {
+      const pattern = findRun(value, 'keyboard', minLength);
+      if (pattern !== null) {
+        return {
+          valid: false,
+          error: createIssue('contains_keyboard_pattern', { key: 'password.keyboard', field: fieldName, params: { pattern }, message: options.message }),
+        };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a rule rejecting passwords that contain the value of other fields, such as the username or email.
+   * For an email, its local part (before the `@`) is checked too. The case is ignored.
+   * The values are read from the object validated by the schema, or from `options.parent` when calling `validate()` directly.
+   * @param {string|string[]} fields - The other fields.
+   * @param {Object} [options] - Optional parameters.
+   * @param {number} [options.minLength=3] - Values shorter than this are ignored, so that short names do not block every password.
+   * @param {string} [options.message] - Custom error message.
+   */
+  notContainsFields(fields, options = {}) {
+    const { minLength = 3 } = options;
+    const others = [].concat(fields);
+
+    this.#rules.push((value, fieldName, context = {}) => {
+      const parent = context.parent || {};
+      const password = value.toLowerCase();
+
+      for (let other of others) {
+        if (typeof parent[other] !== 'string') {
+          continue;
+        }
+        const otherValue = parent[other].trim().toLowerCase();
+        const candidates = [otherValue, otherValue.split('@')[0]].filter((candidate) => candidate.length >= minLength);
+        if (candidates.some((candidate) => password.includes(candidate))) {
+          return {
+            valid: false,
+            error: createIssue('contains_personal_info', { key: 'password.contains_field', field: fieldName, params: { other }, message: options.message }),
+          };
+        }
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a rule rejecting common passwords. Everything is checked offline.
+   * By default the password is looked up in a bundled list of the ~49,000 most frequent passwords of public breach dumps,
+   * which is loaded on first use. This is not a full breached-password check: pass `hashes` for that.
+   * The case is ignored and leetspeak is undone, so `P@ssw0rd` matches `password`.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string[]|Set<string>|string} [options.list] - Your own passwords, or the path of a text file with one
+   *   password per line (gzipped if it ends with `.gz`), used instead of the bundled list.
+   * @param {string} [options.hashes] - A directory of SHA-1 range files in the Have I Been Pwned format (`21BD1.txt` with
+   *   `SUFFIX:COUNT` lines), or a file of `HASH:COUNT` lines, checked instead of the bundled list.
+   * @param {number} [options.minCount=1] - How many times a password must appear in `hashes` to be rejected.
+   * @param {string} [options.message] - Custom error message.
+   */
+  notCommon(options = {}) {
+    const matchers = [];
+    if (options.hashes !== undefined) {
+      matchers.push(createHashMatcher(options.hashes, options.minCount));
+    }
+    if (options.list !== undefined || options.hashes === undefined) {
+      matchers.push(createListMatcher(options.list));
+    }
+
+    this.#rules.push((value, fieldName) => {
+      if (matchers.some((isCommon) => isCommon(value))) {
+        return {
+          valid: false,
+          error: createIssue('common_password', { key: 'password.common', field: fieldName, message: options.message }),
+        };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a rule requiring a minimum strength, as estimated by `strength()`.
+   * @param {number|string} level - A score from 0 to 4, or `very-weak`, `weak`, `fair`, `strong` or `very-strong`.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  minStrength(level, options = {}) {
+    const minScore = resolveStrengthLevel(level);
+    this.#rules.push((value, fieldName) => {
+      const { score } = estimateStrength(value);
+      if (score < minScore) {
+        return {
+          valid: false,
+          error: createIssue('too_weak', {
+            key: 'password.strength',
+            field: fieldName,
+            params: { minStrength: STRENGTH_LEVELS[minScore], strength: STRENGTH_LEVELS[score] },
+            message: options.message,
+          }),
+        };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Applies a named password policy:
+   * - `nist`: 8 to 64 characters, no character repeated more than 3 times, no sequences, not in the bundled list of common
+   *   passwords (NIST SP 800-63B also asks for a check against breached passwords: add `notCommon({ hashes })` for that).
+   * - `pci`: at least 12 characters, with letters and numbers (PCI DSS 4.0).
+   * - `strong`: at least 12 characters from 3 classes, no repeats, sequences, keyboard patterns or common passwords, and a `strong` score.
+   * Other rules can be chained after the preset.
+   * @param {string} name - The preset.
+   */
+  preset(name) {
+    if (!PRESETS[name]) {
+      throw new Error(`Unknown password preset "${name}". Use one of: ${Object.keys(PRESETS).join(', ')}.`);
+    }
+    return PRESETS[name](this);
+  }
+
+  /**
+   * Estimates the strength of a password, e.g. for a strength meter.
+   * The estimate is based on the length and the characters used, and discounts repeated characters,
+   * sequences and keyboard patterns.
+   * @param {string} value - The password.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.locale] - The locale of the feedback.
+   * @returns {Object} - `score` (0 to 4), `level` (`very-weak` to `very-strong`), `entropy` in bits, and `feedback` suggestions.
+   */
+  strength(value, options = {}) {
+    const { score, level, entropy } = estimateStrength(value);
+    return { score, level, entropy, feedback: this.#feedback(value, [], options.locale) };
+  }
+
+  /**
+   * Adds a rule to ensure the password equals its confirmation.
+   * The confirmation is fixed when the validator is defined, so a new validator is needed for each request.
+   * @deprecated Use `sameAs()` on the schema (`v.object({ ... }).sameAs('password_confirmation', 'password')`),
+   *   which compares the fields of the validated object.
+   * @param {string} confirmPassword - The confirmation entered by the user.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  confirmPassword(confirmPassword, options = {}) {
+    this.#rules.push((value, fieldName) => {
+      if (value !== confirmPassword) {
+        return { valid: false, error: createIssue('not_same', { key: 'password.confirm', field: fieldName, message: options.message }) };
+      }
+      return { valid: true, value };
+    });
     return this;
   }
 
   /**
    * Adds a rule to ensure the password is at least the specified length.
    * @param {number} length - Minimum length required for the password.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
    */
-  min(length) {
-    const message = `must be at least ${length} characters long.`;
+  min(length, options = {}) {
     this.#rules.push((value, fieldName) => {
       if (value.length < length) {
-        return { valid: false, error: `${fieldName} ${message}` };
+        return {
+          valid: false,
+          error: createIssue('too_small', { key: 'password.min', field: fieldName, params: { min: length }, message: options.message }),
+        };
       }
       return { valid: true ,value};
     });
     return this;
   }
 
+  /**
+   * Adds a rule to ensure the password is at most the specified length, e.g. to bound hashing time.
+   * @param {number} length - Maximum length allowed for the password.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  max(length, options = {}) {
+    this.#rules.push((value, fieldName) => {
+      if (value.length > length) {
+        return {
+          valid: false,
+          error: createIssue('too_big', { key: 'password.max', field: fieldName, params: { max: length }, message: options.message }),
+        };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a custom rule.
+   * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  custom(check, options = {}) {
+    this.#rules.push(createCustomRule(check, options));
+    return this;
+  }
+
+  /**
+   * Adds a transform applied to the validated data, after every rule has passed (e.g. trimming or mapping to a domain object).
+   * Transforms run in the order they are added and are skipped for `null` values.
+   * @param {Function} transform - Function `(value) => newValue`.
+   */
+  transform(transform) {
+    this.#transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Adds an async rule, such as a uniqueness check against a database.
+   * Validators with async rules must be run with `validateAsync()`.
+   * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   */
+  customAsync(check, options = {}) {
+    this.#asyncRules.push(createAsyncRule(check, options));
+    return this;
+  }
+
   /**
    * Validates the provided string against all applied rules.
    * @param {string|null} value - The string to validate.
    * @param {Object} [options] - Optional parameters for validation.
    * @param {string} [options.fieldName='Password'] - Field name for error messages.
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+   * @param {Object} [options.parent] - The other fields of the form, read by `notContainsFields()`. Set by the schema.
    * @returns {Object} - Validation result:
    *   - `valid` (boolean): True if all rules pass, otherwise false.
-   *   - `errors` (string[]): List of error messages, if validation fails.
+   *   - `errors` (string[]|Object[]): List of error messages, if validation fails.
+   *   - `feedback` (string[]): Suggestions to make the password stronger, if validation fails.
    *   - `data` (string|null): Validated string if valid, otherwise null.
    */
   validate(value, options = {}) {
-    const { fieldName = 'Password' } = options;
+    assertNoAsyncRules(this.#asyncRules, 'PasswordValidator');
+    const result = this.#validateSync(value, options);
+    return this.#withFeedback(finishResult(result, this.#transforms, options, 'Password'), value, result, options);
+  }
+
+  /**
+   * Validates the provided value like `validate()`, then runs the async rules added with `customAsync()`.
+   * Async rules run concurrently, and only once the synchronous rules pass.
+   *
+   * @param {string|null} value - The value to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='Password'] - The name of the field being validated.
+   * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+   */
+  async validateAsync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'Password');
+    const result = this.#validateSync(value, options);
+
+    if (!result.valid || result.data === null) {
+      return this.#withFeedback(finishResult(result, this.#transforms, options, 'Password'), value, result, options);
+    }
+
+    const asyncResult = await validateAsyncRules(result.data, fieldName, this.#asyncRules);
+    const finalResult = asyncResult.isValid ? result : { valid: false, errors: asyncResult.errors };
+    return this.#withFeedback(finishResult(finalResult, this.#transforms, options, 'Password'), value, finalResult, options);
+  }
+
+  /**
+   * Adds feedback suggestions to a failed result.
+   * @param {Object} result - The finished result.
+   * @param {*} value - The validated value.
+   * @param {Object} rawResult - The result before formatting, with the issues of the failed rules.
+   * @param {Object} options - The options of the validation.
+   * @returns {Object} - The result, with `feedback` when it failed.
+   */
+  #withFeedback(result, value, rawResult, options) {
+    if (result.valid || typeof value !== 'string' || value === '') {
+      return result;
+    }
+    return { ...result, feedback: this.#feedback(value, rawResult.errors, options.locale) };
+  }
+
+  /**
+   * Builds suggestions to make a password stronger, from its weaknesses and the failed rules.
+   * @param {string} value - The password.
+   * @param {Object[]} issues - The issues of the failed rules.
+   * @param {string} [locale] - The locale of the suggestions.
+   * @returns {string[]} - The suggestions.
+   */
+  #feedback(value, issues, locale) {
+    const { score, patterns, classes } = estimateStrength(value);
+    const types = new Set(patterns.map((pattern) => pattern.type));
+    const codes = new Set(issues.map((issue) => issue.code));
+    const weak = score < STRENGTH_LEVELS.indexOf('strong'); // Long passphrases need neither more length nor symbols
+    const keys = [];
+
+    if (weak && [...value].length < 12) {
+      keys.push('password.feedback.length');
+    }
+    if (types.has('repeat') || codes.has('too_many_repeats')) {
+      keys.push('password.feedback.repeated');
+    }
+    if (types.has('sequence') || codes.has('contains_sequence')) {
+      keys.push('password.feedback.sequence');
+    }
+    if (types.has('keyboard') || codes.has('contains_keyboard_pattern')) {
+      keys.push('password.feedback.keyboard');
+    }
+    if (weak && classes.length < 3) {
+      keys.push('password.feedback.variety');
+    }
+    if (codes.has('common_password')) {
+      keys.push('password.feedback.common');
+    }
+    if (codes.has('contains_personal_info')) {
+      keys.push('password.feedback.personal');
+    }
+    return keys.map((key) => translate(key, {}, locale));
+  }
+
+  /**
+   * Runs the presence, type and synchronous rule checks shared by `validate()` and `validateAsync()`.
+   */
+  #validateSync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'Password');
     let errors = [];
     let validData = value;
     let isValid = true;
@@ -113,16 +511,20 @@ class PasswordValidator {
       if (this.#allowNull) {
         return { valid: true, data: null };
       }
-      errors.push(`${fieldName} is required.`);
+      errors.push(createIssue('required', { key: 'password.required', field: fieldName }));
       isValid = false;
       validData = null;
     } else if (typeof value !== 'string') {
-      errors.push(`${fieldName} must be a string.`);
+      errors.push(createIssue('invalid_type', {
+        key: 'password.type',
+        field: fieldName,
+        params: { expected: 'string' },
+      }));
       isValid = false;
       validData = null;
     } else {
       for (let rule of this.#rules) {
-        const result = rule(value, fieldName);
+        const result = rule(value, fieldName, options);
         if (!result.valid) {
           errors.push(result.error);
           isValid = false;
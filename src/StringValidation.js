@@ -1,14 +1,41 @@
-const { validateType, validateRules } = require('./until/validationHelper');
+const { validateType, validateRules, createCustomRule, finishResult, fieldLabel, createAsyncRule, validateAsyncRules, assertNoAsyncRules } = require('./until/validationHelper');
+const { createIssue } = require('./until/errorHelper');
+const { coerceString } = require('./until/coerceHelper');
+const { measureLength, assertLengthUnit, assertNormalizationForm, findInvisibleCharacter } = require('./until/unicodeHelper');
+const net = require('net');
+
+// Formats checked by the string rules
+// UUIDs of the RFC 9562 variant (`8` to `b` in the fourth group), and the nil and max UUIDs, which have no version
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-([0-9a-f])[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const SPECIAL_UUIDS = ['00000000-0000-0000-0000-000000000000', 'ffffffff-ffff-ffff-ffff-ffffffffffff'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const ALPHA_PATTERN = /^[\p{L}\p{M}]+$/u;
+const ALPHANUMERIC_PATTERN = /^[\p{L}\p{M}\p{N}]+$/u;
 
 class StringValidator {
   #rules;
+  #asyncRules;
+  #transforms;
   #allowNull;
   #isArray;
+  #coerce;
+  #preprocessors;
+  #unit;
 
-  constructor() {
+  /**
+   * @param {Object} [options] - Optional parameters.
+   * @param {boolean} [options.coerce=false] - Convert numbers and booleans to strings, trim strings and treat empty strings as `null`.
+   * @param {string} [options.unit='utf16'] - The unit of `min()`, `max()` and `length()`: `utf16`, `codepoint`, `grapheme` or `byte`.
+   */
+  constructor(options = {}) {
     this.#rules = [];
+    this.#asyncRules = []; // Async rules, run by validateAsync()
+    this.#transforms = []; // Run on the data once every rule passes
     this.#allowNull = false; // Flag to indicate if null values are allowed
     this.#isArray = false;
+    this.#coerce = options.coerce === true; // Strict by default: only strings are accepted
+    this.#preprocessors = []; // Run on the value before it is validated (e.g. trimming)
+    this.#unit = assertLengthUnit(options.unit || 'utf16'); // UTF-16 code units, like String.prototype.length
   }
 
   /**
@@ -29,59 +56,501 @@ class StringValidator {
 
   /**
    * Adds a rule to ensure the string has at least the specified number of characters.
+   * In array mode, the number of items is checked instead.
    * 
    * @param {number} length - The minimum number of characters required.
    * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.unit] - Overrides the length unit of the validator (`utf16`, `codepoint`, `grapheme` or `byte`).
    * @param {string} [options.message] - Custom error message.
    */
   min(length, options = {}) {
-    const message = `must be at least ${length} characters long.`;
-    this.#rules.push((value, fieldName) => {
-      if (value.length < length) {
-        return { valid: false, error: options.message || `${fieldName} ${message}` };
-      }
-      return { valid: true, value };
-    });
-    return this;
+    return this.#addLengthRule((size) => size >= length, {
+      code: 'too_small',
+      key: 'string.min',
+      params: { min: length },
+    }, options);
   }
 
   /**
    * Adds a rule to ensure the string has no more than the specified number of characters.
+   * In array mode, the number of items is checked instead.
    * 
    * @param {number} length - The maximum number of characters allowed.
    * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.unit] - Overrides the length unit of the validator (`utf16`, `codepoint`, `grapheme` or `byte`).
    * @param {string} [options.message] - Custom error message.
    */
   max(length, options = {}) {
-    const message = `must be no more than ${length} characters long.`;
+    return this.#addLengthRule((size) => size <= length, {
+      code: 'too_big',
+      key: 'string.max',
+      params: { max: length },
+    }, options);
+  }
+
+  /**
+   * Adds a rule to ensure the string has exactly the specified number of characters.
+   * In array mode, the number of items is checked instead.
+   * 
+   * @param {number} length - The required number of characters.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.unit] - Overrides the length unit of the validator (`utf16`, `codepoint`, `grapheme` or `byte`).
+   * @param {string} [options.message] - Custom error message.
+   */
+  length(length, options = {}) {
+    return this.#addLengthRule((size) => size === length, {
+      code: 'invalid_length',
+      key: 'string.length',
+      params: { length },
+    }, options);
+  }
+
+  /**
+   * Adds a rule to ensure the string matches a regular expression.
+   * 
+   * @param {RegExp} pattern - The pattern the string must match.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  regex(pattern, options = {}) {
+    return this.#addFormatRule((value) => {
+      pattern.lastIndex = 0; // Global and sticky patterns keep state between calls
+      return pattern.test(value);
+    }, {
+      key: 'string.regex',
+      params: { format: 'regex', pattern: String(pattern) },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string is an absolute URL.
+   * 
+   * @param {Object} [options] - Optional parameters.
+   * @param {string[]} [options.protocols=['http', 'https']] - Allowed protocols, without the colon.
+   * @param {string} [options.message] - Custom error message.
+   */
+  url(options = {}) {
+    const { protocols = ['http', 'https'] } = options;
+
+    return this.#addFormatRule((value) => {
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        return false;
+      }
+      const protocol = url.protocol.slice(0, -1);
+      const needsHost = ['http', 'https', 'ftp', 'ws', 'wss'].includes(protocol);
+      // The parser fixes up `http:x` and `http:\\x`, so the `//` before the host is checked on the input
+      const hasAuthority = value.slice(protocol.length + 1, protocol.length + 3) === '//';
+      return protocols.includes(protocol) && (!needsHost || (hasAuthority && url.hostname !== ''));
+    }, {
+      key: 'string.url',
+      params: { format: 'url', protocols },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string is a UUID.
+   * 
+   * @param {Object} [options] - Optional parameters.
+   * @param {number} [options.version] - The required UUID version (1 to 8). Any version is accepted by default.
+   * @param {string} [options.message] - Custom error message.
+   */
+  uuid(options = {}) {
+    const { version } = options;
+
+    return this.#addFormatRule((value) => {
+      if (version === undefined && SPECIAL_UUIDS.includes(value.toLowerCase())) {
+        return true;
+      }
+      const match = UUID_PATTERN.exec(value);
+      return match !== null && (version === undefined || Number.parseInt(match[1], 16) === version);
+    }, {
+      key: version === undefined ? 'string.uuid' : 'string.uuid_version',
+      params: { format: 'uuid', version },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string is an IP address, or an IP range in CIDR notation (e.g. `10.0.0.0/8`).
+   * 
+   * @param {Object} [options] - Optional parameters.
+   * @param {number} [options.version] - `4` or `6`. Both are accepted by default.
+   * @param {boolean|string} [options.cidr=false] - `true` to require CIDR notation, `'optional'` to allow it.
+   * @param {string} [options.message] - Custom error message.
+   */
+  ip(options = {}) {
+    const { version, cidr = false } = options;
+
+    return this.#addFormatRule((value) => {
+      const [address, prefix, ...rest] = value.split('/');
+      const addressVersion = net.isIP(address);
+
+      if (rest.length > 0 || addressVersion === 0 || (version !== undefined && addressVersion !== version)) {
+        return false;
+      }
+      if (prefix === undefined) {
+        return cidr !== true;
+      }
+      const maxPrefix = addressVersion === 4 ? 32 : 128;
+      return cidr !== false && /^\d{1,3}$/.test(prefix) && Number(prefix) <= maxPrefix;
+    }, {
+      key: cidr === true ? 'string.cidr' : 'string.ip',
+      params: { format: cidr === true ? 'cidr' : 'ip', version },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string is a URL slug: lowercase letters and numbers separated by single hyphens.
+   * 
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  slug(options = {}) {
+    return this.#addFormatRule((value) => SLUG_PATTERN.test(value), {
+      key: 'string.slug',
+      params: { format: 'slug' },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string is a hex color such as `#fff` or `#1a2b3c`.
+   * 
+   * @param {Object} [options] - Optional parameters.
+   * @param {boolean} [options.alpha=false] - Also accept colors with an alpha channel (`#ffff` and `#1a2b3c80`).
+   * @param {string} [options.message] - Custom error message.
+   */
+  hexColor(options = {}) {
+    const pattern = options.alpha
+      ? /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i
+      : /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+    return this.#addFormatRule((value) => pattern.test(value), {
+      key: 'string.hex_color',
+      params: { format: 'hex_color' },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string contains only letters (including accented and non-Latin letters).
+   * 
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  alpha(options = {}) {
+    return this.#addFormatRule((value) => ALPHA_PATTERN.test(value), {
+      key: 'string.alpha',
+      params: { format: 'alpha' },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string contains only letters and numbers.
+   * 
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  alphanumeric(options = {}) {
+    return this.#addFormatRule((value) => ALPHANUMERIC_PATTERN.test(value), {
+      key: 'string.alphanumeric',
+      params: { format: 'alphanumeric' },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string is one of the allowed values.
+   * 
+   * @param {string[]} values - The allowed values.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  oneOf(values, options = {}) {
+    return this.#addFormatRule((value) => values.includes(value), {
+      code: 'invalid_enum',
+      key: 'string.one_of',
+      params: { values },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string starts with the given prefix.
+   * 
+   * @param {string} prefix - The required prefix.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  startsWith(prefix, options = {}) {
+    return this.#addFormatRule((value) => value.startsWith(prefix), {
+      key: 'string.starts_with',
+      params: { format: 'starts_with', prefix },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string ends with the given suffix.
+   * 
+   * @param {string} suffix - The required suffix.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  endsWith(suffix, options = {}) {
+    return this.#addFormatRule((value) => value.endsWith(suffix), {
+      key: 'string.ends_with',
+      params: { format: 'ends_with', suffix },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to ensure the string contains the given substring.
+   * 
+   * @param {string} substring - The required substring.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  includes(substring, options = {}) {
+    return this.#addFormatRule((value) => value.includes(substring), {
+      key: 'string.includes',
+      params: { format: 'includes', substring },
+      message: options.message,
+    });
+  }
+
+  /**
+   * Adds a rule to reject control and invisible characters, such as zero-width spaces, bidirectional
+   * overrides and NUL bytes. Zero-width joiners are allowed, as emoji sequences need them.
+   * 
+   * @param {Object} [options] - Optional parameters.
+   * @param {boolean} [options.multiline=false] - Allow tabs and line breaks.
+   * @param {string} [options.message] - Custom error message.
+   */
+  printable(options = {}) {
+    const { multiline = false } = options;
+
+    this.#rules.push((value, fieldName) => {
+      const items = Array.isArray(value) ? value : [value];
+      for (let index = 0; index < items.length; index++) {
+        const character = findInvisibleCharacter(items[index], multiline);
+        if (character !== null) {
+          return {
+            valid: false,
+            error: createIssue('invalid_characters', {
+              key: 'string.printable',
+              field: Array.isArray(value) ? `${fieldName}[${index}]` : fieldName,
+              params: { character },
+              message: options.message,
+            }),
+          };
+        }
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Applies Unicode normalization before the string is validated, so that the same text typed
+   * with precomposed or combining accents is stored and measured the same way.
+   * 
+   * @param {string} [form='NFC'] - The normalization form: `NFC`, `NFD`, `NFKC` or `NFKD`.
+   */
+  normalize(form = 'NFC') {
+    assertNormalizationForm(form);
+    this.#preprocessors.push((value) => value.normalize(form));
+    return this;
+  }
+
+  /**
+   * Removes whitespace from both ends of the string before it is validated,
+   * so a string of spaces fails as required.
+   */
+  trim() {
+    this.#preprocessors.push((value) => value.trim());
+    return this;
+  }
+
+  /**
+   * Converts the string to lower case before it is validated.
+   */
+  toLowerCase() {
+    this.#preprocessors.push((value) => value.toLowerCase());
+    return this;
+  }
+
+  /**
+   * Converts the string to upper case before it is validated.
+   */
+  toUpperCase() {
+    this.#preprocessors.push((value) => value.toUpperCase());
+    return this;
+  }
+
+  /**
+   * Adds a rule comparing the length of the string, measured in the unit of the rule or of the validator,
+   * or the number of items in array mode. Lengths in bytes use their own messages (e.g. `string.max_bytes`).
+   * 
+   * @param {Function} test - Function `(size) => boolean`, returning `true` when valid.
+   * @param {Object} issue - The `code`, `key` and `params` of the error.
+   * @param {Object} options - The `unit` and `message` options of the rule.
+   * @returns {StringValidator} - The instance, for chaining.
+   */
+  #addLengthRule(test, issue, options) {
+    const unit = assertLengthUnit(options.unit || this.#unit);
+    const { code, key, params } = issue;
+
+    this.#rules.push((value, fieldName) => {
+      const isArray = Array.isArray(value);
+      if (!test(isArray ? value.length : measureLength(value, unit))) {
+        return {
+          valid: false,
+          error: createIssue(code, {
+            key: unit === 'byte' && !isArray ? `${key}_bytes` : key,
+            field: fieldName,
+            params: unit === 'utf16' || isArray ? params : { ...params, unit },
+            message: options.message,
+          }),
+        };
+      }
+      return { valid: true, value };
+    });
+    return this;
+  }
+
+  /**
+   * Adds a rule checking each string with a predicate. In array mode, every item is checked
+   * and errors name the item (e.g. `tags[2]`).
+   * 
+   * @param {Function} test - Function `(value) => boolean`, returning `true` when valid.
+   * @param {Object} issue - The `code` (defaults to `invalid_format`), `key`, `params` and `message` of the error.
+   * @returns {StringValidator} - The instance, for chaining.
+   */
+  #addFormatRule(test, issue) {
+    const { code = 'invalid_format', key, params = {}, message } = issue;
+    const check = (value, fieldName) => {
+      if (!test(value)) {
+        return { valid: false, error: createIssue(code, { key, field: fieldName, params, message }) };
+      }
+      return { valid: true, value };
+    };
+
     this.#rules.push((value, fieldName) => {
-      if (value.length > length) {
-        return { valid: false, error: options.message || `${fieldName} ${message}` };
+      if (!Array.isArray(value)) {
+        return check(value, fieldName);
+      }
+      for (let index = 0; index < value.length; index++) {
+        const result = check(value[index], `${fieldName}[${index}]`);
+        if (!result.valid) {
+          return result;
+        }
       }
       return { valid: true, value };
     });
     return this;
   }
 
+  /**
+   * Adds a custom rule.
+   * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   */
+  custom(check, options = {}) {
+    this.#rules.push(createCustomRule(check, options));
+    return this;
+  }
+
+  /**
+   * Adds a transform applied to the validated data, after every rule has passed (e.g. trimming or mapping to a domain object).
+   * Transforms run in the order they are added and are skipped for `null` values.
+   * @param {Function} transform - Function `(value) => newValue`.
+   */
+  transform(transform) {
+    this.#transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Adds an async rule, such as a uniqueness check against a database.
+   * Validators with async rules must be run with `validateAsync()`.
+   * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   */
+  customAsync(check, options = {}) {
+    this.#asyncRules.push(createAsyncRule(check, options));
+    return this;
+  }
 
-   /**
+  /**
    * Validates the provided value against all applied rules.
    * 
    * @param {string|null|Array} value - The string or array to validate.
    * @param {Object} [options] - Optional parameters for the validation.
    * @param {string} [options.fieldName='value'] - The name of the field being validated. 
    *                                            Defaults to 'value' if not provided. 
+   * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
    * @returns {Object} - Validation result:
    *   - `valid` (`boolean`): True if all rules pass, otherwise false.
-   *   - `errors` (`string[]`): An array of error messages, if validation fails.
+   *   - `errors` (`string[]|Object[]`): An array of error messages, if validation fails.
    *   - `data` (`string|null|Array`): The validated value if valid, otherwise null.
    */
-   validate(value, options = {}) {
-    const { fieldName = 'value' } = options;
+  validate(value, options = {}) {
+    assertNoAsyncRules(this.#asyncRules, 'StringValidator');
+    return finishResult(this.#validateSync(value, options), this.#transforms, options, 'value');
+  }
+
+  /**
+   * Validates the provided value like `validate()`, then runs the async rules added with `customAsync()`.
+   * Async rules run concurrently, and only once the synchronous rules pass.
+   *
+   * @param {string|null|Array} value - The value to validate.
+   * @param {Object} [options] - Optional parameters for the validation.
+   * @param {string} [options.fieldName='value'] - The name of the field being validated.
+   * @returns {Promise<Object>} - Resolves to the same result as `validate()`.
+   */
+  async validateAsync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'value');
+    const result = this.#validateSync(value, options);
+
+    if (!result.valid || result.data === null) {
+      return finishResult(result, this.#transforms, options, 'value');
+    }
+
+    const asyncResult = await validateAsyncRules(result.data, fieldName, this.#asyncRules);
+    const finalResult = asyncResult.isValid ? result : { valid: false, errors: asyncResult.errors };
+    return finishResult(finalResult, this.#transforms, options, 'value');
+  }
+
+  /**
+   * Runs the presence, type and synchronous rule checks shared by `validate()` and `validateAsync()`.
+   */
+  #validateSync(value, options = {}) {
+    const fieldName = fieldLabel(options, 'value');
     let errors = [];
-    let validData = value;
     let isValid = true;
 
+    if (this.#coerce) {
+      value = Array.isArray(value) ? value.map(coerceString) : coerceString(value);
+    }
+    value = this.#preprocess(value);
+    let validData = value;
+
+    if (value == null && this.#allowNull) {
+      return { valid: true, data: null }; // Pass validation for null if nullable
+    }
+
     // Step 1: Handle null/empty and type validation based on whether it's an array
     const typeValidationResult = validateType(value, fieldName, this.#isArray);
     if (!typeValidationResult.isValid) {
@@ -91,8 +560,8 @@ class StringValidator {
     }
 
     // Step 2: Handle null/empty value validation for non-nullable fields
-    if (isValid && value != null && value.length === 0 && !this.#allowNull) {
-      errors.push(`${fieldName} is required`);
+    if (isValid && (value == null || (value.length === 0 && !this.#allowNull))) {
+      errors.push(createIssue('required', { field: fieldName }));
       isValid = false;
       validData = null;
     }
@@ -111,6 +580,16 @@ class StringValidator {
 
     return isValid ? { valid: true, data: validData } : { valid: false, errors };
   }
+
+  /**
+   * Applies the preprocessors (e.g. `trim()`) to a string, or to each string of an array.
+   * Other values are returned unchanged and fail the type check.
+   */
+  #preprocess(value) {
+    const apply = (item) =>
+      typeof item === 'string' ? this.#preprocessors.reduce((result, preprocess) => preprocess(result), item) : item;
+    return Array.isArray(value) ? value.map(apply) : apply(value);
+  }
 }
 
 module.exports = StringValidator;
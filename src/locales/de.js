@@ -0,0 +1,153 @@
+/**
+ * German messages.
+ */
+module.exports = {
+  required: '{field} ist erforderlich',
+  custom: '{field} ist ungültig',
+  timeout: '{field} konnte nicht rechtzeitig geprüft werden',
+
+  'string.type': '{field} muss eine Zeichenkette sein',
+  'string.array': '{field} muss eine Liste sein',
+  'string.array_item': '{field}[{index}] muss eine Zeichenkette sein',
+  'string.min': '{field} muss mindestens {min} Zeichen lang sein.',
+  'string.max': '{field} darf höchstens {max} Zeichen lang sein.',
+  'string.length': '{field} muss genau {length} Zeichen lang sein.',
+  'string.regex': '{field} hat ein ungültiges Format',
+  'string.url': '{field} muss eine gültige URL sein',
+  'string.uuid': '{field} muss eine gültige UUID sein',
+  'string.uuid_version': '{field} muss eine gültige UUID der Version {version} sein',
+  'string.ip': '{field} muss eine gültige IP-Adresse sein',
+  'string.cidr': '{field} muss ein gültiger IP-Bereich in CIDR-Notation sein',
+  'string.slug': '{field} darf nur Kleinbuchstaben, Ziffern und Bindestriche enthalten',
+  'string.hex_color': '{field} muss eine gültige Hex-Farbe sein',
+  'string.alpha': '{field} darf nur Buchstaben enthalten',
+  'string.alphanumeric': '{field} darf nur Buchstaben und Ziffern enthalten',
+  'string.one_of': '{field} muss einer der folgenden Werte sein: {values}',
+  'string.starts_with': '{field} muss mit {prefix} beginnen',
+  'string.ends_with': '{field} muss mit {suffix} enden',
+  'string.includes': '{field} muss {substring} enthalten',
+  'string.min_bytes': '{field} muss mindestens {min} Bytes lang sein.',
+  'string.max_bytes': '{field} darf höchstens {max} Bytes lang sein.',
+  'string.length_bytes': '{field} muss genau {length} Bytes lang sein.',
+  'string.printable': '{field} enthält ein unsichtbares oder Steuerzeichen ({character})',
+
+  'integer.type': '{field} muss eine ganze Zahl sein',
+  'integer.min': '{field} muss größer oder gleich {min} sein',
+  'integer.max': '{field} muss kleiner oder gleich {max} sein',
+  'integer.positive': '{field} muss eine positive Zahl sein',
+  'integer.between': '{field} muss zwischen {min} und {max} liegen',
+  'integer.negative': '{field} muss eine negative Zahl sein',
+  'integer.nonnegative': '{field} darf nicht negativ sein',
+  'integer.multiple_of': '{field} muss ein Vielfaches von {multipleOf} sein',
+  'integer.one_of': '{field} muss einer der folgenden Werte sein: {values}',
+  'integer.safe': '{field} muss zwischen {min} und {max} liegen',
+  'number.type': '{field} muss eine Zahl sein',
+  'number.decimal_type': '{field} muss eine Dezimalzahl sein',
+  'number.min': '{field} muss größer oder gleich {min} sein',
+  'number.max': '{field} muss kleiner oder gleich {max} sein',
+  'number.gt': '{field} muss größer als {gt} sein',
+  'number.lt': '{field} muss kleiner als {lt} sein',
+  'number.positive': '{field} muss eine positive Zahl sein',
+  'number.negative': '{field} muss eine negative Zahl sein',
+  'number.nonnegative': '{field} darf nicht negativ sein',
+  'number.multiple_of': '{field} muss ein Vielfaches von {multipleOf} sein',
+  'number.precision': '{field} darf höchstens {precision} Nachkommastellen haben',
+  'number.finite': '{field} muss eine endliche Zahl sein',
+  'number.safe': '{field} muss zwischen {min} und {max} liegen',
+  'bigint.type': '{field} muss ein BigInt sein',
+  'bigint.min': '{field} muss größer oder gleich {min} sein',
+  'bigint.max': '{field} muss kleiner oder gleich {max} sein',
+  'bigint.gt': '{field} muss größer als {gt} sein',
+  'bigint.lt': '{field} muss kleiner als {lt} sein',
+  'bigint.positive': '{field} muss eine positive Zahl sein',
+  'bigint.negative': '{field} muss eine negative Zahl sein',
+  'bigint.nonnegative': '{field} darf nicht negativ sein',
+  'bigint.multiple_of': '{field} muss ein Vielfaches von {multipleOf} sein',
+  'date.type': '{field} muss ein Datum sein',
+  'date.invalid': '{field} muss ein gültiges Datum sein',
+  'date.format': '{field} muss ein gültiges Datum im Format {format} sein',
+  'date.min': '{field} muss am oder nach dem {min} liegen',
+  'date.max': '{field} muss am oder vor dem {max} liegen',
+  'date.past': '{field} muss in der Vergangenheit liegen',
+  'date.future': '{field} muss in der Zukunft liegen',
+  'date.weekday': '{field} muss auf einen dieser Tage fallen: {days}',
+
+  'boolean.type': '{field} muss ein Wahrheitswert sein',
+  'boolean.accepted': '{field} muss akzeptiert werden.',
+  'boolean.declined': '{field} muss abgelehnt werden.',
+
+  'email.type': '{field} muss eine Zeichenkette sein',
+  'email.invalid': 'E-Mail muss gültig sein',
+  'email.max': '{field} darf höchstens {max} Zeichen lang sein.',
+  'email.local_max': '{field} darf vor dem @ höchstens {max} Zeichen haben.',
+  'email.domain_max': '{field} darf eine Domain von höchstens {max} Zeichen haben.',
+  'email.domain_not_allowed': '{field} muss eine erlaubte Domain verwenden.',
+  'email.domain_denied': '{field} darf die Domain {domain} nicht verwenden.',
+  'email.disposable': '{field} darf keine Wegwerf-E-Mail-Adresse sein.',
+  'email.undeliverable': 'Die Domain von {field} kann keine E-Mails empfangen.',
+  'email.undeliverable_suggestion': 'Die Domain von {field} kann keine E-Mails empfangen. Meinten Sie {suggestion}?',
+  'email.typo': '{field} scheint falsch geschrieben zu sein. Meinten Sie {suggestion}?',
+  'email.dns_unavailable': '{field} konnte nicht überprüft werden. Bitte versuchen Sie es später erneut.',
+  'email.dns_timeout': '{field} konnte nicht rechtzeitig überprüft werden. Bitte versuchen Sie es später erneut.',
+
+  'password.required': '{field} ist erforderlich.',
+  'password.type': '{field} muss eine Zeichenkette sein.',
+  'password.number': '{field} muss mindestens eine Ziffer enthalten.',
+  'password.special_char': '{field} muss mindestens ein Sonderzeichen enthalten.',
+  'password.uppercase': '{field} muss mindestens einen Großbuchstaben enthalten.',
+  'password.min': '{field} muss mindestens {min} Zeichen lang sein.',
+  'password.confirm': 'Die Passwörter stimmen nicht überein',
+  'password.lowercase': '{field} muss mindestens einen Kleinbuchstaben enthalten.',
+  'password.max': '{field} darf höchstens {max} Zeichen lang sein.',
+  'password.classes': '{field} muss mindestens {min} davon enthalten: {classes}.',
+  'password.repeated': '{field} darf kein Zeichen mehr als {max}-mal hintereinander wiederholen.',
+  'password.sequence': '{field} darf keine Folgen wie "{sequence}" enthalten.',
+  'password.keyboard': '{field} darf keine Tastaturmuster wie "{pattern}" enthalten.',
+  'password.contains_field': '{field} darf {other} nicht enthalten.',
+  'password.common': '{field} ist zu verbreitet. Wählen Sie ein schwerer zu erratendes Passwort.',
+  'password.strength': '{field} ist zu schwach.',
+  'password.feedback.length': 'Verwenden Sie ein längeres Passwort: Einige Wörter sind leichter zu merken als Sonderzeichen.',
+  'password.feedback.repeated': 'Vermeiden Sie wiederholte Zeichen wie "aaa".',
+  'password.feedback.sequence': 'Vermeiden Sie Folgen wie "abc" oder "1234".',
+  'password.feedback.keyboard': 'Vermeiden Sie Tastaturmuster wie "qwertz".',
+  'password.feedback.variety': 'Mischen Sie Klein- und Großbuchstaben, Ziffern und Sonderzeichen.',
+  'password.feedback.common': 'Vermeiden Sie verbreitete Passwörter, auch wenn Buchstaben durch Ziffern oder Symbole ersetzt sind.',
+  'password.feedback.personal': 'Vermeiden Sie Ihren Namen, Benutzernamen oder Ihre E-Mail-Adresse.',
+
+  'file.invalid': '{field} hat ein ungültiges Format',
+  'file.type': '{field} muss vom Typ {types} sein',
+  'file.max_size': '{field} darf nicht größer als {maxSize} MB sein',
+  'file.type_mismatch': 'Der Inhalt von {field} entspricht nicht dem angegebenen Typ {declared}',
+  'file.unreadable': 'Der Inhalt von {field} konnte nicht gelesen werden',
+  'file.image': '{field} muss ein PNG-, JPEG-, GIF- oder WebP-Bild sein',
+  'file.min_width': '{field} muss mindestens {minWidth}px breit sein',
+  'file.max_width': '{field} darf höchstens {maxWidth}px breit sein',
+  'file.min_height': '{field} muss mindestens {minHeight}px hoch sein',
+  'file.max_height': '{field} darf höchstens {maxHeight}px hoch sein',
+  'file.ratio': '{field} muss ein Seitenverhältnis von {ratio} haben',
+  'file.animated': '{field} darf nicht animiert sein',
+  'file.not_animated': '{field} muss animiert sein',
+  'file.media': '{field} konnte nicht als Audio oder Video gelesen werden',
+  'file.video': '{field} muss eine Videospur enthalten',
+  'file.min_duration': '{field} muss mindestens {min} Sekunden lang sein',
+  'file.max_duration': '{field} darf höchstens {max} Sekunden lang sein',
+  'file.codecs': '{field} muss einen dieser Codecs verwenden: {codecs}',
+  'file.min_files': '{field} muss mindestens {min} Dateien enthalten',
+  'file.max_files': '{field} darf höchstens {max} Dateien enthalten',
+  'file.total_max_size': 'Die Gesamtgröße von {field} darf {maxSize} MB nicht überschreiten',
+  'file.duplicate': '{field} ist ein Duplikat von {duplicate}',
+
+  'array.type': '{field} muss eine Liste sein',
+  'array.min': '{field} muss mindestens {min} Einträge enthalten.',
+  'array.max': '{field} darf höchstens {max} Einträge enthalten.',
+
+  'object.type': '{field} muss ein Objekt sein',
+  'object.unknown_key': '{field} ist nicht erlaubt',
+  'object.refine': 'Ungültiger Wert',
+  'object.same_as': '{field} muss mit {other} übereinstimmen',
+  'object.required_if': '{field} ist erforderlich, wenn {other} {value} ist',
+  'object.required_with': '{field} ist erforderlich, wenn {others} angegeben ist',
+  'object.required_without': '{field} ist erforderlich, wenn {others} nicht angegeben ist',
+  'object.after': '{field} muss nach {other} liegen',
+  'object.before': '{field} muss vor {other} liegen',
+};
@@ -0,0 +1,154 @@
+/**
+ * English messages. Placeholders such as `{field}` and `{min}` are replaced with the
+ * field label and the parameters of the rule.
+ */
+module.exports = {
+  required: '{field} is required',
+  custom: '{field} is invalid',
+  timeout: '{field} could not be validated in time',
+
+  'string.type': '{field} must be a string',
+  'string.array': '{field} must be an array',
+  'string.array_item': '{field}[{index}] must be a string',
+  'string.min': '{field} must be at least {min} characters long.',
+  'string.max': '{field} must be no more than {max} characters long.',
+  'string.length': '{field} must be exactly {length} characters long.',
+  'string.regex': '{field} format is invalid',
+  'string.url': '{field} must be a valid URL',
+  'string.uuid': '{field} must be a valid UUID',
+  'string.uuid_version': '{field} must be a valid version {version} UUID',
+  'string.ip': '{field} must be a valid IP address',
+  'string.cidr': '{field} must be a valid IP range in CIDR notation',
+  'string.slug': '{field} must contain only lowercase letters, numbers and hyphens',
+  'string.hex_color': '{field} must be a valid hex color',
+  'string.alpha': '{field} must contain only letters',
+  'string.alphanumeric': '{field} must contain only letters and numbers',
+  'string.one_of': '{field} must be one of: {values}',
+  'string.starts_with': '{field} must start with {prefix}',
+  'string.ends_with': '{field} must end with {suffix}',
+  'string.includes': '{field} must include {substring}',
+  'string.min_bytes': '{field} must be at least {min} bytes long.',
+  'string.max_bytes': '{field} must be no more than {max} bytes long.',
+  'string.length_bytes': '{field} must be exactly {length} bytes long.',
+  'string.printable': '{field} contains an invisible or control character ({character})',
+
+  'integer.type': '{field} must be an integer',
+  'integer.min': '{field} must be greater than or equal to {min}',
+  'integer.max': '{field} must be less than or equal to {max}',
+  'integer.positive': '{field} must be a positive number',
+  'integer.between': '{field} must be between {min} and {max}',
+  'integer.negative': '{field} must be a negative number',
+  'integer.nonnegative': '{field} must not be negative',
+  'integer.multiple_of': '{field} must be a multiple of {multipleOf}',
+  'integer.one_of': '{field} must be one of: {values}',
+  'integer.safe': '{field} must be between {min} and {max}',
+  'number.type': '{field} must be a number',
+  'number.decimal_type': '{field} must be a decimal number',
+  'number.min': '{field} must be greater than or equal to {min}',
+  'number.max': '{field} must be less than or equal to {max}',
+  'number.gt': '{field} must be greater than {gt}',
+  'number.lt': '{field} must be less than {lt}',
+  'number.positive': '{field} must be a positive number',
+  'number.negative': '{field} must be a negative number',
+  'number.nonnegative': '{field} must not be negative',
+  'number.multiple_of': '{field} must be a multiple of {multipleOf}',
+  'number.precision': '{field} must have no more than {precision} decimal places',
+  'number.finite': '{field} must be a finite number',
+  'number.safe': '{field} must be between {min} and {max}',
+  'bigint.type': '{field} must be a bigint',
+  'bigint.min': '{field} must be greater than or equal to {min}',
+  'bigint.max': '{field} must be less than or equal to {max}',
+  'bigint.gt': '{field} must be greater than {gt}',
+  'bigint.lt': '{field} must be less than {lt}',
+  'bigint.positive': '{field} must be a positive number',
+  'bigint.negative': '{field} must be a negative number',
+  'bigint.nonnegative': '{field} must not be negative',
+  'bigint.multiple_of': '{field} must be a multiple of {multipleOf}',
+  'date.type': '{field} must be a date',
+  'date.invalid': '{field} must be a valid date',
+  'date.format': '{field} must be a valid date in the format {format}',
+  'date.min': '{field} must be on or after {min}',
+  'date.max': '{field} must be on or before {max}',
+  'date.past': '{field} must be in the past',
+  'date.future': '{field} must be in the future',
+  'date.weekday': '{field} must fall on one of: {days}',
+
+  'boolean.type': '{field} must be a boolean',
+  'boolean.accepted': '{field} must be accepted.',
+  'boolean.declined': '{field} must be declined.',
+
+  'email.type': '{field} must be a string',
+  'email.invalid': 'Email must be valid',
+  'email.max': '{field} must be no more than {max} characters long.',
+  'email.local_max': '{field} must have at most {max} characters before the @.',
+  'email.domain_max': '{field} must have a domain of at most {max} characters.',
+  'email.domain_not_allowed': '{field} must use an allowed domain.',
+  'email.domain_denied': '{field} must not use the domain {domain}.',
+  'email.disposable': '{field} must not be a disposable email address.',
+  'email.undeliverable': '{field} has a domain that cannot receive email.',
+  'email.undeliverable_suggestion': '{field} has a domain that cannot receive email. Did you mean {suggestion}?',
+  'email.typo': '{field} looks misspelled. Did you mean {suggestion}?',
+  'email.dns_unavailable': '{field} could not be verified. Please try again later.',
+  'email.dns_timeout': '{field} could not be verified in time. Please try again later.',
+
+  'password.required': '{field} is required.',
+  'password.type': '{field} must be a string.',
+  'password.number': '{field} must contain at least one number.',
+  'password.special_char': '{field} must contain at least one special character.',
+  'password.uppercase': '{field} must contain at least one uppercase letter.',
+  'password.min': '{field} must be at least {min} characters long.',
+  'password.confirm': 'Password do not match',
+  'password.lowercase': '{field} must contain at least one lowercase letter.',
+  'password.max': '{field} must be at most {max} characters long.',
+  'password.classes': '{field} must contain at least {min} of: {classes}.',
+  'password.repeated': '{field} must not repeat a character more than {max} times in a row.',
+  'password.sequence': '{field} must not contain sequences such as "{sequence}".',
+  'password.keyboard': '{field} must not contain keyboard patterns such as "{pattern}".',
+  'password.contains_field': '{field} must not contain your {other}.',
+  'password.common': '{field} is too common. Choose a password that is harder to guess.',
+  'password.strength': '{field} is too weak.',
+  'password.feedback.length': 'Use a longer password: a few words are easier to remember than symbols.',
+  'password.feedback.repeated': 'Avoid repeated characters such as "aaa".',
+  'password.feedback.sequence': 'Avoid sequences such as "abc" or "1234".',
+  'password.feedback.keyboard': 'Avoid keyboard patterns such as "qwerty".',
+  'password.feedback.variety': 'Mix lowercase and uppercase letters, numbers and symbols.',
+  'password.feedback.common': 'Avoid common passwords, even with numbers or symbols swapped for letters.',
+  'password.feedback.personal': 'Avoid your name, username or email address.',
+
+  'file.invalid': '{field} has an invalid format',
+  'file.type': '{field} must be of type: {types}',
+  'file.max_size': '{field} size must not exceed {maxSize} MB',
+  'file.type_mismatch': '{field} content does not match its declared type {declared}',
+  'file.unreadable': '{field} content could not be read',
+  'file.image': '{field} must be a PNG, JPEG, GIF or WebP image',
+  'file.min_width': '{field} must be at least {minWidth}px wide',
+  'file.max_width': '{field} must be no more than {maxWidth}px wide',
+  'file.min_height': '{field} must be at least {minHeight}px high',
+  'file.max_height': '{field} must be no more than {maxHeight}px high',
+  'file.ratio': '{field} must have an aspect ratio of {ratio}',
+  'file.animated': '{field} must not be animated',
+  'file.not_animated': '{field} must be animated',
+  'file.media': '{field} could not be read as audio or video',
+  'file.video': '{field} must contain a video stream',
+  'file.min_duration': '{field} must be at least {min} seconds long',
+  'file.max_duration': '{field} must be no more than {max} seconds long',
+  'file.codecs': '{field} must use one of the codecs: {codecs}',
+  'file.min_files': '{field} must contain at least {min} files',
+  'file.max_files': '{field} must contain no more than {max} files',
+  'file.total_max_size': '{field} total size must not exceed {maxSize} MB',
+  'file.duplicate': '{field} is a duplicate of {duplicate}',
+
+  'array.type': '{field} must be an array',
+  'array.min': '{field} must contain at least {min} items.',
+  'array.max': '{field} must contain no more than {max} items.',
+
+  'object.type': '{field} must be an object',
+  'object.unknown_key': '{field} is not allowed',
+  'object.refine': 'Invalid value',
+  'object.same_as': '{field} must match {other}',
+  'object.required_if': '{field} is required when {other} is {value}',
+  'object.required_with': '{field} is required when {others} is present',
+  'object.required_without': '{field} is required when {others} is not present',
+  'object.after': '{field} must be after {other}',
+  'object.before': '{field} must be before {other}',
+};
@@ -0,0 +1,153 @@
+/**
+ * Albanian messages.
+ */
+module.exports = {
+  required: '{field} është i detyrueshëm',
+  custom: '{field} është i pavlefshëm',
+  timeout: '{field} nuk mund të verifikohej në kohë',
+
+  'string.type': '{field} duhet të jetë tekst',
+  'string.array': '{field} duhet të jetë listë',
+  'string.array_item': '{field}[{index}] duhet të jetë tekst',
+  'string.min': '{field} duhet të ketë të paktën {min} karaktere.',
+  'string.max': '{field} duhet të ketë jo më shumë se {max} karaktere.',
+  'string.length': '{field} duhet të ketë saktësisht {length} karaktere.',
+  'string.regex': '{field} ka format të pavlefshëm',
+  'string.url': '{field} duhet të jetë një URL e vlefshme',
+  'string.uuid': '{field} duhet të jetë një UUID e vlefshme',
+  'string.uuid_version': '{field} duhet të jetë një UUID e vlefshme e versionit {version}',
+  'string.ip': '{field} duhet të jetë një adresë IP e vlefshme',
+  'string.cidr': '{field} duhet të jetë një varg IP i vlefshëm në shënimin CIDR',
+  'string.slug': '{field} duhet të përmbajë vetëm shkronja të vogla, numra dhe viza',
+  'string.hex_color': '{field} duhet të jetë një ngjyrë hex e vlefshme',
+  'string.alpha': '{field} duhet të përmbajë vetëm shkronja',
+  'string.alphanumeric': '{field} duhet të përmbajë vetëm shkronja dhe numra',
+  'string.one_of': '{field} duhet të jetë një nga: {values}',
+  'string.starts_with': '{field} duhet të fillojë me {prefix}',
+  'string.ends_with': '{field} duhet të mbarojë me {suffix}',
+  'string.includes': '{field} duhet të përmbajë {substring}',
+  'string.min_bytes': '{field} duhet të ketë të paktën {min} bajt.',
+  'string.max_bytes': '{field} duhet të ketë jo më shumë se {max} bajt.',
+  'string.length_bytes': '{field} duhet të ketë saktësisht {length} bajt.',
+  'string.printable': '{field} përmban një karakter të padukshëm ose kontrolli ({character})',
+
+  'integer.type': '{field} duhet të jetë numër i plotë',
+  'integer.min': '{field} duhet të jetë më i madh ose i barabartë me {min}',
+  'integer.max': '{field} duhet të jetë më i vogël ose i barabartë me {max}',
+  'integer.positive': '{field} duhet të jetë numër pozitiv',
+  'integer.between': '{field} duhet të jetë ndërmjet {min} dhe {max}',
+  'integer.negative': '{field} duhet të jetë një numër negativ',
+  'integer.nonnegative': '{field} nuk duhet të jetë negativ',
+  'integer.multiple_of': '{field} duhet të jetë shumëfish i {multipleOf}',
+  'integer.one_of': '{field} duhet të jetë një nga: {values}',
+  'integer.safe': '{field} duhet të jetë ndërmjet {min} dhe {max}',
+  'number.type': '{field} duhet të jetë një numër',
+  'number.decimal_type': '{field} duhet të jetë një numër dhjetor',
+  'number.min': '{field} duhet të jetë më i madh ose i barabartë me {min}',
+  'number.max': '{field} duhet të jetë më i vogël ose i barabartë me {max}',
+  'number.gt': '{field} duhet të jetë më i madh se {gt}',
+  'number.lt': '{field} duhet të jetë më i vogël se {lt}',
+  'number.positive': '{field} duhet të jetë një numër pozitiv',
+  'number.negative': '{field} duhet të jetë një numër negativ',
+  'number.nonnegative': '{field} nuk duhet të jetë negativ',
+  'number.multiple_of': '{field} duhet të jetë shumëfish i {multipleOf}',
+  'number.precision': '{field} duhet të ketë jo më shumë se {precision} shifra dhjetore',
+  'number.finite': '{field} duhet të jetë një numër i fundëm',
+  'number.safe': '{field} duhet të jetë ndërmjet {min} dhe {max}',
+  'bigint.type': '{field} duhet të jetë një bigint',
+  'bigint.min': '{field} duhet të jetë më i madh ose i barabartë me {min}',
+  'bigint.max': '{field} duhet të jetë më i vogël ose i barabartë me {max}',
+  'bigint.gt': '{field} duhet të jetë më i madh se {gt}',
+  'bigint.lt': '{field} duhet të jetë më i vogël se {lt}',
+  'bigint.positive': '{field} duhet të jetë një numër pozitiv',
+  'bigint.negative': '{field} duhet të jetë një numër negativ',
+  'bigint.nonnegative': '{field} nuk duhet të jetë negativ',
+  'bigint.multiple_of': '{field} duhet të jetë shumëfish i {multipleOf}',
+  'date.type': '{field} duhet të jetë një datë',
+  'date.invalid': '{field} duhet të jetë një datë e vlefshme',
+  'date.format': '{field} duhet të jetë një datë e vlefshme në formatin {format}',
+  'date.min': '{field} duhet të jetë më {min} ose më vonë',
+  'date.max': '{field} duhet të jetë më {max} ose më herët',
+  'date.past': '{field} duhet të jetë në të kaluarën',
+  'date.future': '{field} duhet të jetë në të ardhmen',
+  'date.weekday': '{field} duhet të bjerë në një nga: {days}',
+
+  'boolean.type': '{field} duhet të jetë vlerë logjike',
+  'boolean.accepted': '{field} duhet të pranohet.',
+  'boolean.declined': '{field} duhet të refuzohet.',
+
+  'email.type': '{field} duhet të jetë tekst',
+  'email.invalid': 'Email-i duhet të jetë i vlefshëm',
+  'email.max': '{field} duhet të ketë jo më shumë se {max} karaktere.',
+  'email.local_max': '{field} duhet të ketë më së shumti {max} karaktere para @.',
+  'email.domain_max': '{field} duhet të ketë një domen me më së shumti {max} karaktere.',
+  'email.domain_not_allowed': '{field} duhet të përdorë një domen të lejuar.',
+  'email.domain_denied': '{field} nuk duhet të përdorë domenin {domain}.',
+  'email.disposable': '{field} nuk duhet të jetë një adresë email-i e përkohshme.',
+  'email.undeliverable': 'Domeni i {field} nuk mund të marrë email.',
+  'email.undeliverable_suggestion': 'Domeni i {field} nuk mund të marrë email. Mos keni parasysh {suggestion}?',
+  'email.typo': '{field} duket i shkruar gabim. Mos keni parasysh {suggestion}?',
+  'email.dns_unavailable': '{field} nuk mund të verifikohej. Ju lutemi provoni përsëri më vonë.',
+  'email.dns_timeout': '{field} nuk mund të verifikohej në kohë. Ju lutemi provoni përsëri më vonë.',
+
+  'password.required': '{field} është i detyrueshëm.',
+  'password.type': '{field} duhet të jetë tekst.',
+  'password.number': '{field} duhet të përmbajë të paktën një numër.',
+  'password.special_char': '{field} duhet të përmbajë të paktën një karakter special.',
+  'password.uppercase': '{field} duhet të përmbajë të paktën një shkronjë të madhe.',
+  'password.min': '{field} duhet të ketë të paktën {min} karaktere.',
+  'password.confirm': 'Fjalëkalimet nuk përputhen',
+  'password.lowercase': '{field} duhet të përmbajë të paktën një shkronjë të vogël.',
+  'password.max': '{field} duhet të ketë më së shumti {max} karaktere.',
+  'password.classes': '{field} duhet të përmbajë të paktën {min} nga: {classes}.',
+  'password.repeated': '{field} nuk duhet të përsërisë një karakter më shumë se {max} herë radhazi.',
+  'password.sequence': '{field} nuk duhet të përmbajë vargje si "{sequence}".',
+  'password.keyboard': '{field} nuk duhet të përmbajë modele tastiere si "{pattern}".',
+  'password.contains_field': '{field} nuk duhet të përmbajë {other}.',
+  'password.common': '{field} është shumë i zakonshëm. Zgjidhni një fjalëkalim më të vështirë për t\'u gjetur.',
+  'password.strength': '{field} është shumë i dobët.',
+  'password.feedback.length': 'Përdorni një fjalëkalim më të gjatë: disa fjalë mbahen mend më lehtë se simbolet.',
+  'password.feedback.repeated': 'Shmangni karakteret e përsëritura si "aaa".',
+  'password.feedback.sequence': 'Shmangni vargje si "abc" ose "1234".',
+  'password.feedback.keyboard': 'Shmangni modele tastiere si "qwerty".',
+  'password.feedback.variety': 'Përzieni shkronja të vogla dhe të mëdha, numra dhe simbole.',
+  'password.feedback.common': 'Shmangni fjalëkalimet e zakonshme, edhe kur shkronjat zëvendësohen me numra ose simbole.',
+  'password.feedback.personal': 'Shmangni emrin, emrin e përdoruesit ose adresën e email-it.',
+
+  'file.invalid': '{field} ka format të pavlefshëm',
+  'file.type': '{field} duhet të jetë i llojit: {types}',
+  'file.max_size': '{field} nuk duhet të kalojë {maxSize} MB',
+  'file.type_mismatch': 'Përmbajtja e {field} nuk përputhet me llojin e deklaruar {declared}',
+  'file.unreadable': 'Përmbajtja e {field} nuk mund të lexohej',
+  'file.image': '{field} duhet të jetë imazh PNG, JPEG, GIF ose WebP',
+  'file.min_width': '{field} duhet të ketë gjerësi të paktën {minWidth}px',
+  'file.max_width': '{field} duhet të ketë gjerësi jo më shumë se {maxWidth}px',
+  'file.min_height': '{field} duhet të ketë lartësi të paktën {minHeight}px',
+  'file.max_height': '{field} duhet të ketë lartësi jo më shumë se {maxHeight}px',
+  'file.ratio': '{field} duhet të ketë raport pamjeje {ratio}',
+  'file.animated': '{field} nuk duhet të jetë i animuar',
+  'file.not_animated': '{field} duhet të jetë i animuar',
+  'file.media': '{field} nuk mund të lexohej si audio ose video',
+  'file.video': '{field} duhet të përmbajë një video',
+  'file.min_duration': '{field} duhet të zgjasë të paktën {min} sekonda',
+  'file.max_duration': '{field} duhet të zgjasë jo më shumë se {max} sekonda',
+  'file.codecs': '{field} duhet të përdorë një nga kodekët: {codecs}',
+  'file.min_files': '{field} duhet të përmbajë të paktën {min} skedarë',
+  'file.max_files': '{field} duhet të përmbajë jo më shumë se {max} skedarë',
+  'file.total_max_size': 'Madhësia totale e {field} nuk duhet të kalojë {maxSize} MB',
+  'file.duplicate': '{field} është dublikatë e {duplicate}',
+
+  'array.type': '{field} duhet të jetë listë',
+  'array.min': '{field} duhet të ketë të paktën {min} elemente.',
+  'array.max': '{field} duhet të ketë jo më shumë se {max} elemente.',
+
+  'object.type': '{field} duhet të jetë objekt',
+  'object.unknown_key': '{field} nuk lejohet',
+  'object.refine': 'Vlerë e pavlefshme',
+  'object.same_as': '{field} duhet të përputhet me {other}',
+  'object.required_if': '{field} është i detyrueshëm kur {other} është {value}',
+  'object.required_with': '{field} është i detyrueshëm kur {others} është i pranishëm',
+  'object.required_without': '{field} është i detyrueshëm kur {others} mungon',
+  'object.after': '{field} duhet të jetë pas {other}',
+  'object.before': '{field} duhet të jetë para {other}',
+};
@@ -0,0 +1,199 @@
+const ObjectSchema = require('./ObjectSchema');
+const { layoutErrors } = require('./until/errorHelper');
+
+// Parts of a request that can be validated, in the order they are reported
+const SOURCES = ['params', 'query', 'headers', 'body'];
+
+/**
+ * Builds the default error payload sent when a request fails validation.
+ * @param {Object|Array} errors - The errors, keyed by path (e.g. `body.email`) unless `errorFormat` is set.
+ * @returns {Object} - The response body.
+ */
+function defaultErrorResponse(errors) {
+  return { message: 'Validation failed', errors };
+}
+
+/**
+ * Validates the parts of a request against their schemas.
+ * Errors are keyed by the part they belong to (e.g. `query.page`).
+ *
+ * @param {Object} schemas - `ObjectSchema`s (or plain shapes) keyed by `body`, `query`, `params` and `headers`.
+ * @param {Object} request - The values of the parts, keyed the same way.
+ * @param {Object} options - The `structured`, `errorFormat` and `locale` options of the validation.
+ * @returns {Promise<Object>} - `valid`, with the validated `data` of each part, or `errors`.
+ */
+async function validateRequest(schemas, request, options) {
+  const { structured = false, errorFormat = 'map', locale } = options;
+  const sources = SOURCES.filter((source) => schemas[source]);
+
+  const results = await Promise.all(
+    sources.map((source) => {
+      const schema = schemas[source] instanceof ObjectSchema ? schemas[source] : new ObjectSchema(schemas[source]);
+      return schema.parseDataAsync(request[source] ?? {}, { path: source, structured, locale });
+    })
+  );
+
+  const data = {};
+  const errors = {};
+  let isValid = true;
+
+  results.forEach((result, index) => {
+    if (result.valid) {
+      data[sources[index]] = result.data;
+    } else {
+      Object.assign(errors, result.errors);
+      isValid = false;
+    }
+  });
+
+  return isValid ? { valid: true, data } : { valid: false, errors: layoutErrors(errors, errorFormat) };
+}
+
+/**
+ * Replaces a property with the validated value, including properties that are getters
+ * on the prototype (such as `req.query` in Express 5 and `ctx.request.query` in Koa).
+ * @param {Object} target - The request object.
+ * @param {string} key - The property to replace.
+ * @param {*} value - The validated value.
+ */
+function replaceProperty(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Normalizes the middleware options.
+ * @param {Object} options - The options passed to the middleware factory.
+ * @returns {Object} - The options with their defaults.
+ */
+function middlewareOptions(options) {
+  const { status = 422, errorResponse = defaultErrorResponse, locale, ...validationOptions } = options;
+  return { status, errorResponse, locale, validationOptions };
+}
+
+/**
+ * Creates an Express-style `(req, res, next)` middleware, which also works with a plain Node `http` server.
+ * The validated data replaces `req.body`, `req.query` and `req.params`. Validated headers are merged into
+ * `req.headers`, so headers without a schema are kept.
+ *
+ * @param {Object} schemas - `ObjectSchema`s (or plain shapes) keyed by `body`, `query`, `params` and `headers`.
+ * @param {Object} [options] - Optional parameters.
+ * @param {number} [options.status=422] - The status code of the error response.
+ * @param {Function} [options.errorResponse] - Function `(errors, req) => payload` building the error response body.
+ * @param {string|Function} [options.locale] - The locale of the messages, or a function `(req) => locale`.
+ * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+ * @param {string} [options.errorFormat='map'] - Layout of the errors: `map`, `list` or `tree`.
+ * @returns {Function} - The middleware.
+ */
+function express(schemas, options = {}) {
+  const { status, errorResponse, locale, validationOptions } = middlewareOptions(options);
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await validateRequest(schemas, req, {
+        ...validationOptions,
+        locale: typeof locale === 'function' ? locale(req) : locale,
+      });
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!result.valid) {
+      const payload = errorResponse(result.errors, req);
+      if (typeof res.status === 'function' && typeof res.json === 'function') {
+        return res.status(status).json(payload);
+      }
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify(payload));
+    }
+
+    for (let source in result.data) {
+      const value = source === 'headers' ? { ...req.headers, ...result.data.headers } : result.data[source];
+      replaceProperty(req, source, value);
+    }
+    return next();
+  };
+}
+
+/**
+ * Creates a Koa-style `(ctx, next)` middleware. The validated data replaces `ctx.request.body`,
+ * `ctx.request.query` (and so `ctx.query`) and `ctx.params`. Validated headers are merged into
+ * `ctx.request.headers`.
+ *
+ * @param {Object} schemas - `ObjectSchema`s (or plain shapes) keyed by `body`, `query`, `params` and `headers`.
+ * @param {Object} [options] - Optional parameters.
+ * @param {number} [options.status=422] - The status code of the error response.
+ * @param {Function} [options.errorResponse] - Function `(errors, ctx) => payload` building the error response body.
+ * @param {string|Function} [options.locale] - The locale of the messages, or a function `(ctx) => locale`.
+ * @param {boolean} [options.structured=false] - Return errors as `{ path, code, params, message }` objects instead of messages.
+ * @param {string} [options.errorFormat='map'] - Layout of the errors: `map`, `list` or `tree`.
+ * @returns {Function} - The middleware.
+ */
+function koa(schemas, options = {}) {
+  const { status, errorResponse, locale, validationOptions } = middlewareOptions(options);
+
+  return async (ctx, next) => {
+    const request = {
+      body: ctx.request.body,
+      query: ctx.request.query,
+      params: ctx.params,
+      headers: ctx.request.headers,
+    };
+    const result = await validateRequest(schemas, request, {
+      ...validationOptions,
+      locale: typeof locale === 'function' ? locale(ctx) : locale,
+    });
+
+    if (!result.valid) {
+      ctx.status = status;
+      ctx.body = errorResponse(result.errors, ctx);
+      return;
+    }
+
+    for (let source in result.data) {
+      if (source === 'params') {
+        ctx.params = result.data.params;
+      } else {
+        const value = source === 'headers' ? { ...request.headers, ...result.data.headers } : result.data[source];
+        replaceProperty(ctx.request, source, value);
+      }
+    }
+    await next();
+  };
+}
+
+/**
+ * Creates a Fastify `preHandler` hook `(request, reply)`. The validated data replaces `request.body`,
+ * `request.query` and `request.params`. Validated headers are merged into `request.headers`.
+ *
+ * @param {Object} schemas - `ObjectSchema`s (or plain shapes) keyed by `body`, `query`, `params` and `headers`.
+ * @param {Object} [options] - The same options as `express()`, with `errorResponse(errors, request)` and `locale(request)`.
+ * @returns {Function} - The hook.
+ */
+function fastify(schemas, options = {}) {
+  const { status, errorResponse, locale, validationOptions } = middlewareOptions(options);
+
+  return async (request, reply) => {
+    const result = await validateRequest(schemas, request, {
+      ...validationOptions,
+      locale: typeof locale === 'function' ? locale(request) : locale,
+    });
+
+    if (!result.valid) {
+      return reply.code(status).send(errorResponse(result.errors, request));
+    }
+
+    for (let source in result.data) {
+      const value = source === 'headers' ? { ...request.headers, ...result.data.headers } : result.data[source];
+      replaceProperty(request, source, value);
+    }
+  };
+}
+
+module.exports = {
+  express,
+  koa,
+  fastify,
+  validateRequest
+};
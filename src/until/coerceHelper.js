@@ -0,0 +1,163 @@
+const { parseDecimal } = require('./decimalHelper');
+
+// Values accepted as booleans in coercion mode (strings are compared case-insensitively)
+const TRUE_VALUES = ['true', '1', 'yes', 'on', 1];
+const FALSE_VALUES = ['false', '0', 'no', 'off', 0];
+
+/**
+ * Trims a string and turns the empty string into `null`. Other values are returned unchanged.
+ *
+ * @param {*} value - The raw input value.
+ * @returns {*} - The trimmed string, `null` for an empty string, or the original value.
+ */
+function normalizeInput(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const trimmed = value.trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Coerces an input to a string: numbers, bigints and booleans are converted with `String()`.
+ *
+ * @param {*} value - The raw input value.
+ * @returns {*} - The coerced value. Values that cannot be coerced are returned unchanged.
+ */
+function coerceString(value) {
+  if ((typeof value === 'number' && Number.isFinite(value)) || typeof value === 'bigint' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return normalizeInput(value);
+}
+
+/**
+ * Coerces an input to an integer. Only whole strings of digits with an optional sign are parsed,
+ * so `'12abc'`, `'1.5'` and `'1e3'` are left unchanged and fail the type check.
+ *
+ * @param {*} value - The raw input value.
+ * @returns {*} - The coerced value. Values that cannot be coerced are returned unchanged.
+ */
+function coerceInteger(value) {
+  const normalized = normalizeInput(value);
+  if (typeof normalized === 'string' && /^[+-]?\d+$/.test(normalized)) {
+    return Number(normalized);
+  }
+  return normalized;
+}
+
+/**
+ * Coerces an input to a number. Only whole strings in decimal or exponent notation are parsed,
+ * so `'12px'`, `'0x10'` and `'Infinity'` are left unchanged and fail the type check.
+ *
+ * @param {*} value - The raw input value.
+ * @returns {*} - The coerced value. Values that cannot be coerced are returned unchanged.
+ */
+function coerceNumber(value) {
+  const normalized = normalizeInput(value);
+  if (typeof normalized === 'string' && /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i.test(normalized)) {
+    return Number(normalized);
+  }
+  return normalized;
+}
+
+/**
+ * Coerces an input to a bigint: whole strings of digits with an optional sign, and safe integers.
+ *
+ * @param {*} value - The raw input value.
+ * @returns {*} - The coerced value. Values that cannot be coerced are returned unchanged.
+ */
+function coerceBigInt(value) {
+  if (Number.isSafeInteger(value)) {
+    return BigInt(value);
+  }
+
+  const normalized = normalizeInput(value);
+  if (typeof normalized === 'string' && /^[+-]?\d+$/.test(normalized)) {
+    return BigInt(normalized);
+  }
+  return normalized;
+}
+
+/**
+ * Coerces an input to a decimal string: finite numbers are converted without exponent notation.
+ *
+ * @param {*} value - The raw input value.
+ * @returns {*} - The coerced value. Values that cannot be coerced are returned unchanged.
+ */
+function coerceDecimal(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    const { units, scale } = parseDecimal(value);
+    const digits = (units < 0n ? -units : units).toString().padStart(scale + 1, '0');
+    const decimal = scale > 0 ? `${digits.slice(0, -scale)}.${digits.slice(-scale)}` : digits;
+    return units < 0n ? `-${decimal}` : decimal;
+  }
+  return normalizeInput(value);
+}
+
+/**
+ * Compares a vocabulary entry with an input: strings case-insensitively, other values with `===`.
+ * @param {*} entry - The vocabulary entry.
+ * @param {*} value - The normalized input.
+ * @returns {boolean}
+ */
+function matchesBooleanEntry(entry, value) {
+  return typeof entry === 'string' && typeof value === 'string' ? entry.toLowerCase() === value.toLowerCase() : entry === value;
+}
+
+/**
+ * Completes a custom boolean vocabulary with the defaults. When only one side is given, its entries are
+ * removed from the default values of the other side, so that `{ falsy: ['on'] }` reads `on` as `false`.
+ *
+ * @param {Object} [vocabulary] - The custom values.
+ * @param {Array} [vocabulary.truthy] - Values read as `true`.
+ * @param {Array} [vocabulary.falsy] - Values read as `false`.
+ * @returns {Object} - `{ truthy, falsy }`, both complete.
+ * @throws {Error} - When a value is on both sides.
+ */
+function resolveBooleanVocabulary(vocabulary = {}) {
+  const inList = (list) => (entry) => list.some((other) => matchesBooleanEntry(other, entry));
+  const truthy = vocabulary.truthy ?? TRUE_VALUES.filter((entry) => !inList(vocabulary.falsy || [])(entry));
+  const falsy = vocabulary.falsy ?? FALSE_VALUES.filter((entry) => !inList(truthy)(entry));
+
+  const overlap = truthy.filter(inList(falsy));
+  if (overlap.length > 0) {
+    throw new Error(`Values cannot be both truthy and falsy: ${overlap.join(', ')}.`);
+  }
+  return { truthy, falsy };
+}
+
+/**
+ * Coerces an input to a boolean. By default `true`/`false`, `1`/`0`, `yes`/`no` and `on`/`off` are accepted,
+ * in any case, as well as the numbers `1` and `0`.
+ *
+ * @param {*} value - The raw input value.
+ * @param {Object} [vocabulary] - The accepted values, replacing the defaults (see `resolveBooleanVocabulary()`).
+ * @param {Array} [vocabulary.truthy] - Values read as `true`. Strings are compared case-insensitively, other values with `===`.
+ * @param {Array} [vocabulary.falsy] - Values read as `false`.
+ * @returns {*} - The coerced value. Values that cannot be coerced are returned unchanged.
+ */
+function coerceBoolean(value, vocabulary = {}) {
+  const { truthy = TRUE_VALUES, falsy = FALSE_VALUES } = vocabulary;
+  const normalized = normalizeInput(value);
+  const matches = (entry) => matchesBooleanEntry(entry, normalized);
+
+  if (truthy.some(matches)) {
+    return true;
+  }
+  if (falsy.some(matches)) {
+    return false;
+  }
+  return normalized;
+}
+
+module.exports = {
+  normalizeInput,
+  coerceString,
+  coerceInteger,
+  coerceNumber,
+  coerceBigInt,
+  coerceDecimal,
+  coerceBoolean,
+  resolveBooleanVocabulary
+};
@@ -0,0 +1,301 @@
+// ISO 8601 dates and date-times: `2024-03-10`, `2024-03-10T14:30`, `2024-03-10T14:30:00.000Z`, `2024-03-10 14:30+01:00`
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+// Tokens of custom input formats, longest first so that `MM` is not read as two `M`
+const FORMAT_TOKENS = {
+  YYYY: { part: 'year', pattern: '(\\d{4})' },
+  MM: { part: 'month', pattern: '(\\d{2})' },
+  M: { part: 'month', pattern: '(\\d{1,2})' },
+  DD: { part: 'day', pattern: '(\\d{2})' },
+  D: { part: 'day', pattern: '(\\d{1,2})' },
+  HH: { part: 'hour', pattern: '(\\d{2})' },
+  H: { part: 'hour', pattern: '(\\d{1,2})' },
+  mm: { part: 'minute', pattern: '(\\d{2})' },
+  ss: { part: 'second', pattern: '(\\d{2})' },
+  SSS: { part: 'millisecond', pattern: '(\\d{3})' },
+};
+const TOKEN_PATTERN = /YYYY|SSS|MM|DD|HH|mm|ss|M|D|H/g;
+
+// Relative limits: `18 years ago`, `in 2 weeks`, `30 days from now`
+const RELATIVE_PATTERN = /^(?:(\d+)\s+(second|minute|hour|day|week|month|year)s?\s+(ago|from now)|in\s+(\d+)\s+(second|minute|hour|day|week|month|year)s?)$/i;
+const UNIT_MILLISECONDS = { second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = new Map(); // Intl.DateTimeFormat instances by time zone, as they are slow to create
+
+/**
+ * Returns a formatter reading the calendar fields of a date in a time zone.
+ * @param {string} timeZone - The IANA time zone (e.g. `Europe/Berlin`).
+ * @returns {Intl.DateTimeFormat}
+ */
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Checks a time zone name, so that typos fail when the validator is defined.
+ *
+ * @param {string} timeZone - The IANA time zone (e.g. `Europe/Berlin`) or `UTC`.
+ * @returns {string} - The time zone.
+ */
+function assertTimeZone(timeZone) {
+  try {
+    zoneFormatter(timeZone);
+  } catch (error) {
+    throw new Error(`Invalid time zone "${timeZone}".`);
+  }
+  return timeZone;
+}
+
+/**
+ * Reads the calendar fields of an instant in a time zone.
+ *
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - The time zone.
+ * @returns {Object} - `{ year, month, day, hour, minute, second }`, with months from 1 to 12.
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (let { type, value } of zoneFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Builds a UTC date from calendar fields. Unlike `Date.UTC()`, years 0 to 99 are not mapped to 1900 to 1999.
+ *
+ * @param {number} year - The year.
+ * @param {number} month - The month, from 1 to 12. Overflowing months and days roll over like `Date.UTC()`.
+ * @param {number} day - The day of the month.
+ * @param {number} [hour=0] - The hour.
+ * @param {number} [minute=0] - The minute.
+ * @param {number} [second=0] - The second.
+ * @param {number} [millisecond=0] - The millisecond.
+ * @returns {Date}
+ */
+function utcDate(year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  date.setUTCHours(hour, minute, second, millisecond);
+  return date;
+}
+
+/**
+ * Converts calendar fields to an instant. Fields with an `offset` (in minutes) are exact; others are read in the time zone.
+ * A wall time skipped by a daylight saving transition is moved forward by the length of the gap, so `02:30` on the
+ * day New York switches to summer time is `03:30` EDT. A repeated wall time is read as its first occurrence.
+ *
+ * @param {Object} parts - `{ year, month, day, hour, minute, second, millisecond, offset }`.
+ * @param {string} timeZone - The time zone of fields without an offset.
+ * @returns {Date} - The instant.
+ */
+function partsToDate(parts, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0, offset = null } = parts;
+  const wallTime = utcDate(year, month, day, hour, minute, second, millisecond).getTime();
+
+  if (offset !== null) {
+    return new Date(wallTime - offset * 60 * 1000);
+  }
+
+  // Offset of the zone at an instant, in milliseconds
+  const offsetAt = (timestamp) => {
+    const zoned = zonedParts(new Date(timestamp), timeZone);
+    return utcDate(zoned.year, zoned.month, zoned.day, zoned.hour, zoned.minute, zoned.second).getTime() - Math.floor(timestamp / 1000) * 1000;
+  };
+
+  // At most one transition happens around a wall time, so the offsets of the day before and after are the only candidates
+  const oneDay = 24 * 60 * 60 * 1000;
+  const candidates = [offsetAt(wallTime - oneDay), offsetAt(wallTime + oneDay)]
+    .map((zoneOffset) => wallTime - zoneOffset)
+    .filter((timestamp) => offsetAt(timestamp) === wallTime - timestamp);
+  if (candidates.length === 0) {
+    // Skipped wall time: read with the offset from before the gap, it lands after the gap
+    return new Date(wallTime - offsetAt(wallTime - oneDay));
+  }
+  return new Date(Math.min(...candidates));
+}
+
+/**
+ * Checks that calendar fields describe an existing date and time (no February 30 or 25 o'clock).
+ * @param {Object} parts - The calendar fields.
+ * @returns {boolean}
+ */
+function isValidParts(parts) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const daysInMonth = [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth && hour <= 23 && minute <= 59 && second <= 59;
+}
+
+/**
+ * @param {number} year - The year.
+ * @returns {boolean}
+ */
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Parses an ISO 8601 date or date-time string into calendar fields.
+ * Only complete calendar dates are accepted: reduced precision (`2024`, `2024-03`), week and ordinal dates are not.
+ *
+ * @param {string} value - The string.
+ * @returns {Object|null} - The calendar fields, with `hasTime` and the `offset` in minutes (null without offset), or null.
+ */
+function parseIsoParts(value) {
+  const match = ISO_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, fraction, zone] = match;
+  let offset = null;
+  if (zone) {
+    const [, sign, hours, minutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(zone) || [null, '+', '00', '00'];
+    offset = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  }
+
+  return {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0),
+    millisecond: fraction ? Number(fraction.slice(0, 3).padEnd(3, '0')) : 0,
+    offset,
+    hasTime: hour !== undefined,
+  };
+}
+
+/**
+ * Compiles a custom input format such as `DD/MM/YYYY` or `YYYY-MM-DD HH:mm` into a parser.
+ * Supported tokens: `YYYY`, `MM`, `M`, `DD`, `D`, `HH`, `H`, `mm`, `ss` and `SSS`. Other characters must match exactly.
+ *
+ * @param {string} format - The format.
+ * @returns {Function} - Function `(value) => parts|null`, returning the calendar fields like `parseIsoParts()`.
+ */
+function compileFormat(format) {
+  const parts = [];
+  let pattern = '';
+  let lastIndex = 0;
+
+  for (let match of format.matchAll(TOKEN_PATTERN)) {
+    pattern += format.slice(lastIndex, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + FORMAT_TOKENS[match[0]].pattern;
+    parts.push(FORMAT_TOKENS[match[0]].part);
+    lastIndex = match.index + match[0].length;
+  }
+  pattern += format.slice(lastIndex).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  if (!['year', 'month', 'day'].every((part) => parts.includes(part))) {
+    throw new Error(`Invalid date format "${format}". It must contain YYYY, MM (or M) and DD (or D).`);
+  }
+
+  const regex = new RegExp(`^${pattern}$`);
+  return (value) => {
+    const match = regex.exec(value);
+    if (!match) {
+      return null;
+    }
+    const fields = { offset: null, hasTime: parts.includes('hour') };
+    parts.forEach((part, index) => {
+      fields[part] = Number(match[index + 1]);
+    });
+    return fields;
+  };
+}
+
+/**
+ * Moves a date by an amount of a unit. Months and years follow the calendar (UTC fields), so that
+ * `18 years ago` lands on the same day of the year.
+ *
+ * @param {Date} date - The date.
+ * @param {number} amount - The amount, negative to move back.
+ * @param {string} unit - `second`, `minute`, `hour`, `day`, `week`, `month` or `year`.
+ * @returns {Date} - The new date.
+ */
+function addToDate(date, amount, unit) {
+  if (unit === 'month' || unit === 'year') {
+    const result = new Date(date.getTime());
+    const months = result.getUTCMonth() + (unit === 'year' ? amount * 12 : amount);
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(months);
+    // Clamp to the end of shorter months: a month after January 31 is the end of February
+    const lastDay = utcDate(result.getUTCFullYear(), result.getUTCMonth() + 2, 0).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return result;
+  }
+  return new Date(date.getTime() + amount * UNIT_MILLISECONDS[unit]);
+}
+
+/**
+ * Parses a relative expression such as `18 years ago`, `in 2 weeks` or `30 days from now`.
+ *
+ * @param {string} expression - The expression.
+ * @returns {Object|null} - `{ amount, unit }`, with a negative amount for the past, or null if it is not relative.
+ */
+function parseRelative(expression) {
+  const match = RELATIVE_PATTERN.exec(expression.trim());
+  if (!match) {
+    return null;
+  }
+  if (match[1] !== undefined) {
+    return { amount: Number(match[1]) * (match[3].toLowerCase() === 'ago' ? -1 : 1), unit: match[2].toLowerCase() };
+  }
+  return { amount: Number(match[4]), unit: match[5].toLowerCase() };
+}
+
+/**
+ * Resolves a weekday given as a number (0 for Sunday) or an English name.
+ *
+ * @param {number|string} day - The weekday.
+ * @returns {number} - The weekday, from 0 (Sunday) to 6 (Saturday).
+ */
+function resolveWeekday(day) {
+  const index = typeof day === 'number' ? day : WEEKDAYS.indexOf(String(day).toLowerCase());
+  if (!Number.isInteger(index) || index < 0 || index > 6) {
+    throw new Error(`Invalid weekday "${day}". Use 0 (Sunday) to 6 (Saturday) or an English day name.`);
+  }
+  return index;
+}
+
+/**
+ * Formats a date-only value (UTC midnight) as `YYYY-MM-DD`.
+ *
+ * @param {Date} date - The date.
+ * @returns {string}
+ */
+function formatDateOnly(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  WEEKDAYS,
+  utcDate,
+  assertTimeZone,
+  zonedParts,
+  partsToDate,
+  isValidParts,
+  parseIsoParts,
+  compileFormat,
+  addToDate,
+  parseRelative,
+  resolveWeekday,
+  formatDateOnly
+};
@@ -0,0 +1,125 @@
+// Plain decimal strings, as used for money amounts: `12`, `-0.5`, `+1999.99`
+const DECIMAL_PATTERN = /^([+-])?(\d+)(?:\.(\d+))?$/;
+
+// The exponent notation used by Number.prototype.toString() for very large and very small numbers
+const EXPONENT_PATTERN = /^(-)?(\d+)(?:\.(\d+))?e([+-]\d+)$/;
+
+/**
+ * Checks whether a string is a plain decimal number, without exponent or surrounding whitespace.
+ *
+ * @param {*} value - The value.
+ * @returns {boolean}
+ */
+function isDecimalString(value) {
+  return typeof value === 'string' && DECIMAL_PATTERN.test(value);
+}
+
+/**
+ * Parses a decimal string or a finite number into an exact scaled integer, so that `0.1 + 0.2`
+ * style rounding never affects comparisons. Numbers are read from their shortest string form,
+ * so `0.3` is exactly 3 tenths.
+ *
+ * @param {string|number} value - The decimal string or number.
+ * @returns {Object|null} - `{ units, scale }`, where the value is `units / 10 ** scale`, or null if it is not a decimal.
+ */
+function parseDecimal(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+    const exponent = EXPONENT_PATTERN.exec(String(value));
+    if (exponent) {
+      const [, sign = '', integer, fraction = '', power] = exponent;
+      const scale = fraction.length - Number(power);
+      const units = BigInt(`${sign}${integer}${fraction}`);
+      return scale >= 0 ? { units, scale } : { units: units * 10n ** BigInt(-scale), scale: 0 };
+    }
+    value = String(value);
+  }
+
+  const match = typeof value === 'string' ? DECIMAL_PATTERN.exec(value) : null;
+  if (!match) {
+    return null;
+  }
+  const [, sign = '', integer, fraction = ''] = match;
+  return { units: BigInt(`${sign === '-' ? '-' : ''}${integer}${fraction}`), scale: fraction.length };
+}
+
+/**
+ * Checks whether a value is the number `Infinity` or `-Infinity`. Decimal strings are never infinite,
+ * however large, as they are not read through a Number.
+ * @param {string|number} value - A decimal string or number.
+ * @returns {boolean}
+ */
+function isInfinite(value) {
+  return value === Infinity || value === -Infinity;
+}
+
+/**
+ * Brings two parsed decimals to the same scale.
+ * @param {Object} a - A parsed decimal.
+ * @param {Object} b - A parsed decimal.
+ * @returns {bigint[]} - The units of both decimals at the larger scale.
+ */
+function alignDecimals(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return [a.units * 10n ** BigInt(scale - a.scale), b.units * 10n ** BigInt(scale - b.scale)];
+}
+
+/**
+ * Compares two decimals exactly. `Infinity` and `-Infinity` compare as expected.
+ *
+ * @param {string|number} a - A decimal string or number.
+ * @param {string|number} b - A decimal string or number.
+ * @returns {number} - `-1`, `0` or `1`.
+ */
+function compareDecimals(a, b) {
+  if (isInfinite(a) || isInfinite(b)) {
+    // A finite decimal sits between the infinities, and both infinities with the same sign compare as equal
+    const rank = (value) => (isInfinite(value) ? Math.sign(value) : 0);
+    return Math.sign(rank(a) - rank(b));
+  }
+  const [left, right] = alignDecimals(parseDecimal(a), parseDecimal(b));
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Checks whether a decimal is a multiple of a step, exactly (so `0.3` is a multiple of `0.1`).
+ *
+ * @param {string|number} value - A decimal string or number.
+ * @param {string|number} step - The step, greater than 0.
+ * @returns {boolean}
+ */
+function isMultipleOfDecimal(value, step) {
+  if (isInfinite(value)) {
+    return false;
+  }
+  const [units, stepUnits] = alignDecimals(parseDecimal(value), parseDecimal(step));
+  return units % stepUnits === 0n;
+}
+
+/**
+ * Counts the decimal places of a decimal, ignoring trailing zeros (`'12.50'` has 1).
+ *
+ * @param {string|number} value - A decimal string or number.
+ * @returns {number} - The number of decimal places, `Infinity` for infinite numbers.
+ */
+function countDecimals(value) {
+  if (isInfinite(value)) {
+    return Infinity;
+  }
+  let { units, scale } = parseDecimal(value);
+  while (scale > 0 && units % 10n === 0n) {
+    units /= 10n;
+    scale -= 1;
+  }
+  return scale;
+}
+
+module.exports = {
+  isDecimalString,
+  parseDecimal,
+  compareDecimals,
+  isMultipleOfDecimal,
+  countDecimals
+};
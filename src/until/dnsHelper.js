@@ -0,0 +1,89 @@
+const dns = require('dns');
+
+// Resolver errors meaning that the domain or its records do not exist, as opposed to a DNS failure
+const MISSING_CODES = ['ENOTFOUND', 'ENODATA', 'NOTFOUND', 'NODATA'];
+
+// Cached answers kept per checker, the oldest being dropped first
+const MAX_CACHE_ENTRIES = 1000;
+
+/**
+ * Runs a resolver lookup, resolving to an empty list when the domain has no such records.
+ * @param {Function} lookup - Function `() => Promise<Array>`.
+ * @returns {Promise<Array>}
+ */
+async function resolveRecords(lookup) {
+  try {
+    return await lookup();
+  } catch (error) {
+    if (MISSING_CODES.includes(error.code)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks whether a domain can receive mail: it has MX records, or A or AAAA records as a fallback (RFC 5321, 5.1).
+ * A "null MX" record (RFC 7505) means the domain accepts no mail.
+ *
+ * @param {Object} resolver - An object with the `resolveMx`, `resolve4` and `resolve6` methods of `dns.promises`.
+ * @param {string} domain - The domain, in ASCII form.
+ * @returns {Promise<boolean>}
+ */
+async function hasMailRecords(resolver, domain) {
+  const mx = await resolveRecords(() => resolver.resolveMx(domain));
+  if (mx.length > 0) {
+    return !(mx.length === 1 && ['', '.'].includes(mx[0].exchange));
+  }
+
+  const [ipv4, ipv6] = await Promise.all([
+    resolveRecords(() => resolver.resolve4(domain)),
+    typeof resolver.resolve6 === 'function' ? resolveRecords(() => resolver.resolve6(domain)) : [],
+  ]);
+  return ipv4.length > 0 || ipv6.length > 0;
+}
+
+/**
+ * Creates a function checking whether domains can receive mail, with cached answers and a timeout.
+ * Only definite answers are cached: lookups that time out or fail are retried on the next check.
+ *
+ * @param {Object} [options] - Optional parameters.
+ * @param {Object} [options.resolver=dns.promises] - The resolver, e.g. a `dns.promises.Resolver` with custom servers, or a stub in tests.
+ * @param {number} [options.timeout=5000] - Milliseconds to wait for the DNS answers.
+ * @param {number} [options.cacheTtl=600000] - Milliseconds an answer is cached. 0 disables the cache.
+ * @returns {Function} - Function `(domain) => Promise<string>`, resolving to `deliverable`, `undeliverable`, `timeout` or `error`.
+ */
+function createDomainChecker(options = {}) {
+  const { resolver = dns.promises, timeout = 5000, cacheTtl = 10 * 60 * 1000 } = options;
+  const cache = new Map();
+
+  return async (domain) => {
+    const cached = cache.get(domain);
+    if (cached && cached.expires > Date.now()) {
+      return cached.status;
+    }
+
+    let timer;
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => resolve('timeout'), timeout);
+    });
+    const lookup = hasMailRecords(resolver, domain).then(
+      (deliverable) => (deliverable ? 'deliverable' : 'undeliverable'),
+      () => 'error'
+    );
+    const status = await Promise.race([lookup, expired]).finally(() => clearTimeout(timer));
+
+    if (cacheTtl > 0 && (status === 'deliverable' || status === 'undeliverable')) {
+      cache.delete(domain);
+      cache.set(domain, { status, expires: Date.now() + cacheTtl });
+      if (cache.size > MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+      }
+    }
+    return status;
+  };
+}
+
+module.exports = {
+  createDomainChecker
+};
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const net = require('net');
+const { domainToASCII, domainToUnicode } = require('url');
+
+// The 8,883 domains of the disposable-email-domains project (github.com/disposable-email-domains, CC0, see
+// disposable-domains.LICENSE.txt), one per line, gzipped
+const DISPOSABLE_LIST = path.join(__dirname, '..', 'data', 'disposable-domains.txt.gz');
+
+// Limits of RFC 5321, in octets
+const MAX_LOCAL_LENGTH = 64;
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_ADDRESS_LENGTH = 254;
+
+// RFC 5322 `atext`, plus any non-ASCII character for internationalized addresses (RFC 6531)
+const ATOM_PATTERN = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+$/;
+const UNICODE_ATOM_PATTERN = /^(?:[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]|[^\x00-\x7F\p{C}\p{Z}])+$/u;
+
+// RFC 5322 quoted string: printable ASCII and spaces, with `"` and `\` escaped by a backslash
+const QUOTED_PATTERN = /^"(?:[\x20\x21\x23-\x5B\x5D-\x7E]|\\[\x20-\x7E])*"$/;
+const UNICODE_QUOTED_PATTERN = /^"(?:[\x20\x21\x23-\x5B\x5D-\x7E]|[^\x00-\x7F\p{C}]|\\[\x20-\x7E])*"$/u;
+
+// A label of a hostname in its ASCII form: letters, digits and inner hyphens, up to 63 characters
+const LABEL_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+// Providers that ignore dots in the local part
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Common mail providers, most used first, for "did you mean" suggestions
+const COMMON_PROVIDERS = [
+  'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'icloud.com', 'aol.com', 'live.com', 'msn.com', 'me.com', 'mac.com',
+  'googlemail.com', 'ymail.com', 'rocketmail.com', 'protonmail.com', 'proton.me', 'gmx.com', 'gmx.de', 'gmx.net', 'web.de',
+  't-online.de', 'mail.com', 'email.com', 'zoho.com', 'fastmail.com', 'tutanota.com', 'hey.com', 'aim.com', 'yandex.com',
+  'yandex.ru', 'mail.ru', 'inbox.ru', 'list.ru', 'bk.ru', 'rambler.ru', 'qq.com', '163.com', '126.com', 'naver.com',
+  'yahoo.co.uk', 'yahoo.fr', 'yahoo.de', 'hotmail.co.uk', 'hotmail.fr', 'hotmail.de', 'hotmail.it', 'outlook.de', 'live.co.uk',
+  'orange.fr', 'free.fr', 'laposte.net', 'wanadoo.fr', 'libero.it', 'seznam.cz', 'wp.pl', 'o2.pl', 'interia.pl',
+  'comcast.net', 'verizon.net', 'att.net', 'sbcglobal.net', 'cox.net', 'charter.net', 'btinternet.com', 'bigpond.com',
+  'shaw.ca', 'rogers.com',
+];
+
+let disposableDomains = null; // Loaded on first use
+
+/**
+ * Checks the local part of an address (before the `@`).
+ * @param {string} local - The local part.
+ * @param {Object} options - `allowQuoted` and `allowUnicode`.
+ * @returns {boolean}
+ */
+function isValidLocalPart(local, options) {
+  if (local.startsWith('"')) {
+    return options.allowQuoted && (options.allowUnicode ? UNICODE_QUOTED_PATTERN : QUOTED_PATTERN).test(local);
+  }
+  // A dot-atom: atoms separated by single dots, so `a..b` and `.a` are rejected
+  const pattern = options.allowUnicode ? UNICODE_ATOM_PATTERN : ATOM_PATTERN;
+  return local.split('.').every((atom) => pattern.test(atom));
+}
+
+/**
+ * Checks a domain literal such as `[192.0.2.1]` or `[IPv6:2001:db8::1]`.
+ * @param {string} domain - The domain, with its brackets.
+ * @returns {boolean}
+ */
+function isValidDomainLiteral(domain) {
+  const address = domain.slice(1, -1);
+  if (/^IPv6:/i.test(address)) {
+    return net.isIPv6(address.slice(5));
+  }
+  return net.isIPv4(address);
+}
+
+/**
+ * Parses an email address following RFC 5321 and RFC 5322, with internationalized addresses (RFC 6531).
+ * Comments and folding whitespace are not supported, as they are not part of the address itself.
+ *
+ * @param {string} value - The address.
+ * @param {Object} [options] - Optional parameters.
+ * @param {boolean} [options.allowQuoted=true] - Accept quoted local parts such as `"john doe"@example.com`.
+ * @param {boolean} [options.allowUnicode=true] - Accept non-ASCII characters in the local part.
+ * @param {boolean} [options.allowDomainLiteral=false] - Accept IP addresses as domain, such as `user@[192.0.2.1]`.
+ * @returns {Object} - `{ local, domain, asciiDomain }`, or `{ error }` where `error` is `invalid`, `local_max`,
+ *   `domain_max` or `max`, with the exceeded `max`.
+ */
+function parseEmail(value, options = {}) {
+  const { allowQuoted = true, allowUnicode = true, allowDomainLiteral = false } = options;
+
+  // The domain cannot contain an `@`, while a quoted local part can
+  const at = value.lastIndexOf('@');
+  if (at <= 0 || at === value.length - 1) {
+    return { error: 'invalid' };
+  }
+  const local = value.slice(0, at);
+  const domain = value.slice(at + 1);
+
+  if (!isValidLocalPart(local, { allowQuoted, allowUnicode })) {
+    return { error: 'invalid' };
+  }
+
+  let asciiDomain;
+  if (domain.startsWith('[') && domain.endsWith(']')) {
+    if (!allowDomainLiteral || !isValidDomainLiteral(domain)) {
+      return { error: 'invalid' };
+    }
+    asciiDomain = domain;
+  } else {
+    // Internationalized domains are checked in their punycode form (`bücher.de` is `xn--bcher-kva.de`)
+    asciiDomain = /[^\x00-\x7F]/.test(domain) ? domainToASCII(domain) : domain.toLowerCase();
+    const labels = asciiDomain.split('.');
+    if (
+      asciiDomain === '' ||
+      labels.length < 2 ||
+      !labels.every((label) => LABEL_PATTERN.test(label)) ||
+      /^\d+$/.test(labels[labels.length - 1])
+    ) {
+      return { error: 'invalid' };
+    }
+  }
+
+  if (Buffer.byteLength(local) > MAX_LOCAL_LENGTH) {
+    return { error: 'local_max', max: MAX_LOCAL_LENGTH };
+  }
+  if (asciiDomain.length > MAX_DOMAIN_LENGTH) {
+    return { error: 'domain_max', max: MAX_DOMAIN_LENGTH };
+  }
+  if (Buffer.byteLength(local) + 1 + asciiDomain.length > MAX_ADDRESS_LENGTH) {
+    return { error: 'max', max: MAX_ADDRESS_LENGTH };
+  }
+  return { local, domain, asciiDomain };
+}
+
+/**
+ * Converts a domain to its lowercase ASCII form, so that `Bücher.de` and `xn--bcher-kva.de` compare equal.
+ *
+ * @param {string} domain - The domain.
+ * @returns {string} - The ASCII domain.
+ */
+function toAsciiDomain(domain) {
+  return domainToASCII(domain.trim()) || domain.trim().toLowerCase();
+}
+
+/**
+ * Checks whether a domain is one of the given domains or a subdomain of one.
+ *
+ * @param {string} asciiDomain - The domain, in lowercase ASCII form.
+ * @param {string[]} domains - The domains, in lowercase ASCII form (see `toAsciiDomain()`).
+ * @returns {boolean}
+ */
+function matchesDomain(asciiDomain, domains) {
+  return domains.some((domain) => asciiDomain === domain || asciiDomain.endsWith(`.${domain}`));
+}
+
+/**
+ * Checks whether a domain belongs to a disposable email service, using the bundled list.
+ *
+ * @param {string} asciiDomain - The domain, in lowercase ASCII form.
+ * @returns {boolean}
+ */
+function isDisposableDomain(asciiDomain) {
+  if (disposableDomains === null) {
+    const content = zlib.gunzipSync(fs.readFileSync(DISPOSABLE_LIST)).toString('utf8');
+    disposableDomains = new Set(content.split(/\r?\n/).filter((line) => line !== ''));
+  }
+  // Subdomains are disposable too, as these services hand them out freely
+  const labels = asciiDomain.split('.');
+  return labels.some((label, index) => index < labels.length - 1 && disposableDomains.has(labels.slice(index).join('.')));
+}
+
+/**
+ * Computes the edit distance between two strings, counting a swap of adjacent characters (`gmial`) as one edit.
+ * @param {string} a - A string.
+ * @param {string} b - A string.
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    distances[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return distances[a.length][b.length];
+}
+
+/**
+ * Suggests the common mail provider a domain is probably a typo of, such as `gmail.com` for `gmial.com`.
+ * Domains of 9 characters or more allow two edits, shorter ones one, and very short ones none,
+ * so that other real domains (`acme.com`, `vk.ru`) are not mistaken for typos.
+ *
+ * @param {string} asciiDomain - The domain, in lowercase ASCII form.
+ * @param {string[]} [providers] - The known domains, most used first. Defaults to common mail providers.
+ * @returns {string|null} - The suggested domain, or null if the domain is not close to a known one.
+ */
+function suggestDomain(asciiDomain, providers = COMMON_PROVIDERS) {
+  if (providers.includes(asciiDomain)) {
+    return null;
+  }
+  let suggestion = null;
+  let best = Infinity;
+
+  for (let provider of providers) {
+    const length = Math.min(asciiDomain.length, provider.length);
+    const maxDistance = length >= 9 ? 2 : length >= 6 ? 1 : 0;
+    const distance = editDistance(asciiDomain, provider);
+    if (distance <= maxDistance && distance < best) {
+      suggestion = provider;
+      best = distance;
+    }
+  }
+  return suggestion;
+}
+
+/**
+ * Normalizes a parsed address, so that different spellings of the same mailbox compare equal.
+ *
+ * @param {Object} address - The address, as returned by `parseEmail()`.
+ * @param {Object} options - Optional parameters.
+ * @param {boolean} [options.lowercaseDomain=true] - Lower-case the domain. Domains are case-insensitive.
+ * @param {boolean} [options.stripTags=false] - Remove `+tags` from the local part (`john+news@x.com` is `john@x.com`).
+ * @param {boolean} [options.gmailDots=false] - Remove dots from the local part of Gmail addresses, and lower-case it.
+ * @param {string} [options.domain] - Return the domain in `ascii` (punycode) or `unicode` form. Defaults to the form given.
+ * @returns {string} - The normalized address.
+ */
+function normalizeEmail(address, options = {}) {
+  const { lowercaseDomain = true, stripTags = false, gmailDots = false } = options;
+  let { local, domain, asciiDomain } = address;
+  const quoted = local.startsWith('"');
+
+  if (stripTags && !quoted && local.indexOf('+') > 0) {
+    local = local.slice(0, local.indexOf('+'));
+  }
+  if (gmailDots && !quoted && GMAIL_DOMAINS.includes(asciiDomain)) {
+    local = local.replace(/\./g, '').toLowerCase();
+  }
+
+  if (options.domain === 'ascii') {
+    domain = asciiDomain;
+  } else if (options.domain === 'unicode' && !domain.startsWith('[')) {
+    domain = domainToUnicode(asciiDomain);
+  } else if (lowercaseDomain) {
+    domain = domain.toLowerCase();
+  }
+  return `${local}@${domain}`;
+}
+
+module.exports = {
+  parseEmail,
+  toAsciiDomain,
+  matchesDomain,
+  isDisposableDomain,
+  suggestDomain,
+  normalizeEmail
+};
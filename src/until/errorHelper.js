@@ -0,0 +1,106 @@
+const { interpolate, translate } = require('./i18n');
+
+/**
+ * Creates a structured validation issue. The message is rendered later, in the locale of the validation.
+ *
+ * @param {string} code - Stable, machine-readable error code (e.g. `too_small`).
+ * @param {Object} [options] - Optional parameters.
+ * @param {string} [options.key=code] - The message key in the locale catalogs (e.g. `string.min`).
+ * @param {string} [options.field] - The field label used for the `{field}` placeholder.
+ * @param {Object} [options.params] - Values used by the rule (e.g. `{ min: 18 }`), also available as placeholders.
+ * @param {Object} [options.values] - Extra placeholder values that are not reported as params.
+ * @param {string} [options.message] - Custom message template, used instead of the catalog.
+ * @returns {Object} - The issue.
+ */
+function createIssue(code, options = {}) {
+  const { key = code, field, params = {}, values = {}, message = null } = options;
+  return { code, key, field, params, values, message };
+}
+
+/**
+ * Renders the message of an issue from its custom template or the locale catalog.
+ *
+ * @param {Object} issue - The issue created with `createIssue`.
+ * @param {string} [locale] - The locale. Defaults to the current locale.
+ * @returns {string} - The message.
+ */
+function renderMessage(issue, locale) {
+  const values = { ...issue.params, ...issue.values, field: issue.field };
+  return issue.message ? interpolate(issue.message, values) : translate(issue.key, values, locale);
+}
+
+/**
+ * Formats the issues of a single value for the caller.
+ *
+ * @param {Object[]} issues - The issues created with `createIssue`.
+ * @param {string} path - The path of the value (e.g. `items.2.price`).
+ * @param {Object} [options] - Optional parameters.
+ * @param {boolean} [options.structured=false] - Whether to return issue objects instead of messages.
+ * @param {string} [options.locale] - The locale of the messages. Defaults to the current locale.
+ * @returns {string[]|Object[]} - Messages, or `{ path, code, params, message }` objects.
+ */
+function formatIssues(issues, path, options = {}) {
+  const { structured = false, locale } = options;
+
+  if (!structured) {
+    return issues.map((issue) => renderMessage(issue, locale));
+  }
+  return issues.map((issue) => ({ path, code: issue.code, params: issue.params, message: renderMessage(issue, locale) }));
+}
+
+/**
+ * Flattens an errors map keyed by path into a single list.
+ *
+ * @param {Object} errors - Errors keyed by path, as returned by `parseData`.
+ * @returns {Array} - Every message (or structured issue) in one list.
+ */
+function flattenErrors(errors) {
+  return Object.values(errors).flat();
+}
+
+/**
+ * Nests an errors map keyed by path into a tree following the shape of the data.
+ * The errors of each node are stored under `_errors`.
+ *
+ * @param {Object} errors - Errors keyed by path, as returned by `parseData`.
+ * @returns {Object} - The errors tree (e.g. `{ items: { 2: { price: { _errors: [...] } } } }`).
+ */
+function treeifyErrors(errors) {
+  const tree = {};
+
+  for (let path in errors) {
+    let node = tree;
+    for (let segment of path.split('.')) {
+      node[segment] = node[segment] || {};
+      node = node[segment];
+    }
+    node._errors = [...(node._errors || []), ...errors[path]];
+  }
+
+  return tree;
+}
+
+/**
+ * Lays out an errors map keyed by path in the requested format.
+ *
+ * @param {Object} errors - Errors keyed by path.
+ * @param {string} [errorFormat='map'] - `map`, `list` or `tree`.
+ * @returns {Object|Array} - The errors in the requested layout.
+ */
+function layoutErrors(errors, errorFormat = 'map') {
+  if (errorFormat === 'list') {
+    return flattenErrors(errors);
+  }
+  if (errorFormat === 'tree') {
+    return treeifyErrors(errors);
+  }
+  return errors;
+}
+
+module.exports = {
+  createIssue,
+  formatIssues,
+  flattenErrors,
+  treeifyErrors,
+  layoutErrors
+};
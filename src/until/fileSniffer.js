@@ -0,0 +1,274 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { normalizeMimeType } = require('./mimeRegistry');
+
+// Number of bytes read from the start of a file to detect its type
+const HEAD_SIZE = 4100;
+
+/**
+ * Magic-number signatures, checked in order. `bytes` are matched at `offset`, with `null` matching any byte.
+ * `compatible` lists declared MIME types that share the same container (e.g. `.docx` files are zip archives),
+ * `detect` refines the type from the rest of the header, and `verify` confirms 2-byte signatures that
+ * ordinary text can also start with (`BMW,Audi` starts like a BMP image).
+ */
+const signatures = [
+  // Images
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff], compatible: ['image/jpg', 'image/pjpeg'] },
+  { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { mime: 'image/bmp', bytes: [0x42, 0x4d], verify: isBmpHeader },
+  { mime: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mime: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mime: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00], compatible: ['image/vnd.microsoft.icon'] },
+
+  // Documents
+  { mime: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mime: 'application/rtf', bytes: [0x7b, 0x5c, 0x72, 0x74, 0x66] },
+  {
+    // OLE2 compound files: legacy Office documents
+    mime: 'application/x-cfb',
+    bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1],
+    compatible: ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'],
+  },
+
+  // Archives
+  {
+    mime: 'application/zip',
+    bytes: [0x50, 0x4b, 0x03, 0x04],
+    compatible: [
+      'application/x-zip-compressed',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.oasis.opendocument.text',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'application/epub+zip',
+      'application/java-archive',
+    ],
+    detect: detectZipContent,
+  },
+  { mime: 'application/gzip', bytes: [0x1f, 0x8b], compatible: ['application/x-gzip'] },
+  { mime: 'application/vnd.rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07], compatible: ['application/x-rar-compressed'] },
+  { mime: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mime: 'application/x-tar', offset: 257, bytes: [0x75, 0x73, 0x74, 0x61, 0x72] },
+
+  // Audio and video
+  { mime: 'audio/mpeg', bytes: [0x49, 0x44, 0x33], compatible: ['audio/mp3'] },
+  { mime: 'audio/mpeg', bytes: [0xff, 0xfb], compatible: ['audio/mp3'] },
+  { mime: 'audio/mpeg', bytes: [0xff, 0xf3], compatible: ['audio/mp3'] },
+  { mime: 'audio/mpeg', bytes: [0xff, 0xf2], compatible: ['audio/mp3'] },
+  // ADTS frames of AAC audio, MPEG-4 (0xF1) and MPEG-2 (0xF9)
+  { mime: 'audio/aac', bytes: [0xff, 0xf1], compatible: ['audio/x-aac'] },
+  { mime: 'audio/aac', bytes: [0xff, 0xf9], compatible: ['audio/x-aac'] },
+  { mime: 'audio/wav', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45], compatible: ['audio/x-wav', 'audio/wave'] },
+  { mime: 'video/x-msvideo', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x41, 0x56, 0x49, 0x20] },
+  { mime: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53], compatible: ['video/ogg', 'application/ogg', 'audio/opus'] },
+  { mime: 'audio/flac', bytes: [0x66, 0x4c, 0x61, 0x43], compatible: ['audio/x-flac'] },
+  { mime: 'video/mp4', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70], compatible: ['audio/mp4', 'application/mp4'], detect: detectFtypBrand },
+  { mime: 'video/x-matroska', bytes: [0x1a, 0x45, 0xdf, 0xa3], detect: detectMatroskaDocType },
+  { mime: 'video/mpeg', bytes: [0x00, 0x00, 0x01, 0xba] }, // MPEG program stream pack header
+
+  // Executables, detected so that renamed binaries never pass as another type
+  { mime: 'application/x-msdownload', bytes: [0x4d, 0x5a], verify: isPeHeader },
+  { mime: 'application/x-executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mime: 'application/x-mach-binary', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+];
+
+// Declared types without a signature, accepted when the content is text
+const TEXT_TYPES = ['application/json', 'application/xml', 'image/svg+xml', 'application/javascript'];
+
+// Sizes of the BMP info headers, from the OS/2 BITMAPCOREHEADER (12) to BITMAPV5HEADER (124)
+const BMP_INFO_HEADER_SIZES = [12, 16, 40, 52, 56, 64, 108, 124];
+
+/**
+ * Confirms a BMP file header: a plausible file size, zero reserved fields, and a known info header size.
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {boolean}
+ */
+function isBmpHeader(head) {
+  if (head.length < 18) {
+    return false;
+  }
+  const fileSize = head.readUInt32LE(2);
+  const dataOffset = head.readUInt32LE(10);
+  const infoSize = head.readUInt32LE(14);
+  return fileSize >= 26 && head.readUInt32LE(6) === 0 && BMP_INFO_HEADER_SIZES.includes(infoSize) && dataOffset >= 14 + infoSize;
+}
+
+/**
+ * Confirms a Windows executable: the DOS header points (`e_lfanew`, at 0x3C) to a `PE\0\0` header.
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {boolean}
+ */
+function isPeHeader(head) {
+  if (head.length < 0x40) {
+    return false;
+  }
+  const peOffset = head.readUInt32LE(0x3c);
+  return peOffset >= 0x40 && peOffset + 4 <= head.length && head.readUInt32BE(peOffset) === 0x50450000;
+}
+
+/**
+ * Refines a zip archive into an Office Open XML or OpenDocument type from the entry names in its header.
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {Object|null} - The refined signature, or null to keep `application/zip`.
+ */
+function detectZipContent(head) {
+  const content = head.toString('latin1');
+  const formats = [
+    ['word/', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    ['xl/', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    ['ppt/', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    ['application/vnd.oasis.opendocument.text', 'application/vnd.oasis.opendocument.text'],
+    ['application/vnd.oasis.opendocument.spreadsheet', 'application/vnd.oasis.opendocument.spreadsheet'],
+    ['application/epub+zip', 'application/epub+zip'],
+  ];
+
+  const match = formats.find(([marker]) => content.includes(marker));
+  return match ? { mime: match[1] } : null;
+}
+
+/**
+ * Refines an ISO base media file (`ftyp` box) from its major brand.
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {Object|null} - The refined signature, or null to keep `video/mp4`.
+ */
+function detectFtypBrand(head) {
+  const brand = head.toString('latin1', 8, 12);
+  const brands = {
+    'qt  ': { mime: 'video/quicktime' },
+    'M4A ': { mime: 'audio/mp4', compatible: ['audio/x-m4a'] },
+    'M4V ': { mime: 'video/x-m4v', compatible: ['video/mp4'] },
+    heic: { mime: 'image/heic', compatible: ['image/heif'] },
+    heix: { mime: 'image/heic', compatible: ['image/heif'] },
+    mif1: { mime: 'image/heif', compatible: ['image/heic'] },
+    avif: { mime: 'image/avif' },
+    '3gp4': { mime: 'video/3gpp' },
+    '3gp5': { mime: 'video/3gpp' },
+  };
+  return brands[brand] || null;
+}
+
+/**
+ * Tells WebM apart from other Matroska files from the EBML doc type.
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {Object|null} - The refined signature, or null to keep `video/x-matroska`.
+ */
+function detectMatroskaDocType(head) {
+  return head.includes('webm', 0, 'latin1') ? { mime: 'video/webm', compatible: ['audio/webm'] } : null;
+}
+
+/**
+ * Checks whether the bytes of a signature are found in the header.
+ * @param {Buffer} head - The first bytes of the file.
+ * @param {Object} signature - The signature to check.
+ * @returns {boolean}
+ */
+function matchesSignature(head, signature) {
+  const { offset = 0, bytes } = signature;
+  if (head.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, index) => byte === null || head[offset + index] === byte);
+}
+
+/**
+ * Detects the type of a file from its first bytes.
+ *
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {Object|null} - `{ mime, compatible }` for a known signature, `{ mime: 'text/plain', text: true }`
+ *   for text content without a signature, or null when the type is unknown.
+ */
+function detectFileType(head) {
+  for (let signature of signatures) {
+    if (matchesSignature(head, signature) && (!signature.verify || signature.verify(head))) {
+      const refined = signature.detect ? signature.detect(head) : null;
+      const { mime, compatible = [] } = refined || signature;
+      return { mime, compatible: refined ? [...compatible, signature.mime] : compatible };
+    }
+  }
+
+  // Text has no magic number: accept content without NUL bytes
+  if (head.length > 0 && !head.includes(0)) {
+    return { mime: 'text/plain', compatible: [], text: true };
+  }
+  return null;
+}
+
+/**
+ * Checks whether a declared MIME type is consistent with the detected type.
+ *
+ * @param {string} declared - The MIME type reported by the client.
+ * @param {Object} detected - The result of `detectFileType()`.
+ * @returns {boolean}
+ */
+function matchesDetectedType(declared, detected) {
+  const type = normalizeMimeType(declared);
+  if (detected.text) {
+    return type.startsWith('text/') || TEXT_TYPES.includes(type);
+  }
+  return type === detected.mime || detected.compatible.includes(type);
+}
+
+/**
+ * Reads the first bytes of a file. Accepts a Buffer, a path, or a file object from multer
+ * (`buffer` or `path`) or formidable (`filepath` or `path`).
+ *
+ * @param {Buffer|string|Object} file - The file.
+ * @param {number} [size=HEAD_SIZE] - The number of bytes to read.
+ * @returns {Buffer|null} - The first bytes, or null if the content is not available.
+ */
+function readFileHead(file, size = HEAD_SIZE) {
+  if (Buffer.isBuffer(file)) {
+    return file.subarray(0, size);
+  }
+  if (file && Buffer.isBuffer(file.buffer)) {
+    return file.buffer.subarray(0, size);
+  }
+
+  const path = typeof file === 'string' ? file : file && (file.filepath || file.path);
+  if (typeof path !== 'string') {
+    return null;
+  }
+
+  let fd;
+  try {
+    fd = fs.openSync(path, 'r');
+    const head = Buffer.alloc(size);
+    const bytesRead = fs.readSync(fd, head, 0, size, 0);
+    return head.subarray(0, bytesRead);
+  } catch (error) {
+    return null;
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * Hashes the whole content of a file with SHA-256, to find duplicate uploads.
+ *
+ * @param {Buffer|string|Object} file - A Buffer, a path, or a multer/formidable file object.
+ * @returns {string|null} - The hex digest, or null if the content is not available.
+ */
+function hashFileContent(file) {
+  const content = Buffer.isBuffer(file) ? file : file && Buffer.isBuffer(file.buffer) ? file.buffer : null;
+  const path = typeof file === 'string' ? file : file && (file.filepath || file.path);
+
+  try {
+    const data = content || (typeof path === 'string' ? fs.readFileSync(path) : null);
+    return data ? crypto.createHash('sha256').update(data).digest('hex') : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  signatures,
+  detectFileType,
+  matchesDetectedType,
+  readFileHead,
+  hashFileContent
+};
@@ -1,18 +0,0 @@
-
-
-
-
-const mimeTypes = {
-     // Map common extensions to MIME types
-        jpg: 'image/jpg',
-        jpeg: 'image/jpeg',
-        png: 'image/png',
-        gif: 'image/gif',
-        pdf: 'application/pdf',
-        txt: 'text/plain',
-        doc: 'application/msword',
-        docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-}
-
-
-module.exports = {mimeTypes}
\ No newline at end of file
@@ -0,0 +1,101 @@
+const en = require('../locales/en');
+const de = require('../locales/de');
+const sq = require('../locales/sq');
+
+// Message catalogs keyed by locale
+const catalogs = { en, de, sq };
+let currentLocale = 'en';
+
+/**
+ * Finds the catalog for a locale, falling back from a regional locale (e.g. `de-AT`) to its language.
+ *
+ * @param {string} locale - The locale to look up.
+ * @returns {Object|undefined} - The catalog, if one is registered.
+ */
+function findCatalog(locale) {
+  return catalogs[locale] || catalogs[String(locale).split('-')[0]];
+}
+
+/**
+ * Sets the locale used for messages when no `locale` option is passed.
+ *
+ * @param {string} locale - A registered locale (e.g. `en`, `de`, `sq`).
+ */
+function setLocale(locale) {
+  if (!findCatalog(locale)) {
+    throw new Error(`Unknown locale: ${locale}. Register its messages with addMessages() first.`);
+  }
+  currentLocale = locale;
+}
+
+/**
+ * Returns the locale used for messages when no `locale` option is passed.
+ *
+ * @returns {string} - The current locale.
+ */
+function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Registers a new catalog or overrides messages of an existing one.
+ *
+ * @param {string} locale - The locale of the messages.
+ * @param {Object} messages - Message templates keyed by message key (e.g. `{ 'string.min': '...' }`).
+ */
+function addMessages(locale, messages) {
+  catalogs[locale] = { ...(catalogs[locale] || {}), ...messages };
+}
+
+/**
+ * Replaces `{name}` placeholders with values. Arrays are joined with commas.
+ *
+ * @param {string} template - The message template.
+ * @param {Object} values - The placeholder values.
+ * @returns {string} - The interpolated message.
+ */
+function interpolate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (values[name] === undefined) {
+      return placeholder;
+    }
+    return Array.isArray(values[name]) ? values[name].join(', ') : String(values[name]);
+  });
+}
+
+/**
+ * Looks up a message in the catalog of the locale, falling back to English, and interpolates it.
+ *
+ * @param {string} key - The message key.
+ * @param {Object} values - The placeholder values.
+ * @param {string} [locale] - The locale. Defaults to the current locale.
+ * @returns {string} - The translated message.
+ */
+function translate(key, values, locale = currentLocale) {
+  const catalog = findCatalog(locale) || {};
+  const template = catalog[key] ?? catalogs.en[key] ?? key;
+  return interpolate(template, values);
+}
+
+/**
+ * Resolves a field label, which is either a string or a map of locales to strings.
+ *
+ * @param {string|Object|null} label - The label.
+ * @param {string} [locale] - The locale. Defaults to the current locale.
+ * @returns {string|null} - The label for the locale, or null if there is none.
+ */
+function resolveLabel(label, locale = currentLocale) {
+  if (label == null || typeof label === 'string') {
+    return label ?? null;
+  }
+  return label[locale] ?? label[String(locale).split('-')[0]] ?? label.en ?? null;
+}
+
+module.exports = {
+  setLocale,
+  getLocale,
+  addMessages,
+  interpolate,
+  translate,
+  resolveLabel
+};
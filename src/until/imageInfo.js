@@ -0,0 +1,150 @@
+// Number of bytes read to find the size of an image. JPEG metadata (EXIF thumbnails) can push the frame header far in.
+const IMAGE_HEAD_SIZE = 1024 * 1024;
+
+/**
+ * Reads the size of a PNG image, and whether it is an animated PNG (an `acTL` chunk before the image data).
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {Object|null}
+ */
+function readPng(head) {
+  if (head.length < 24 || head.toString('latin1', 12, 16) !== 'IHDR') {
+    return null;
+  }
+
+  let animated = false;
+  for (let offset = 8; offset + 8 <= head.length; ) {
+    const length = head.readUInt32BE(offset);
+    const chunk = head.toString('latin1', offset + 4, offset + 8);
+    if (chunk === 'acTL') {
+      animated = true;
+    }
+    if (chunk === 'acTL' || chunk === 'IDAT') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  return { type: 'png', width: head.readUInt32BE(16), height: head.readUInt32BE(20), animated };
+}
+
+/**
+ * Reads the size of a GIF image, and whether it has more than one frame.
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {Object|null}
+ */
+function readGif(head) {
+  if (head.length < 13) {
+    return null;
+  }
+
+  const skipSubBlocks = (offset) => {
+    while (offset < head.length && head[offset] !== 0) {
+      offset += head[offset] + 1;
+    }
+    return offset + 1;
+  };
+
+  // Skip the header, the logical screen descriptor and the global color table
+  let offset = 13 + (head[10] & 0x80 ? 3 * 2 ** ((head[10] & 0x07) + 1) : 0);
+  let frames = 0;
+
+  while (offset < head.length && frames < 2) {
+    const block = head[offset];
+    if (block === 0x21) {
+      offset = skipSubBlocks(offset + 2); // Extension: introducer, label, sub-blocks
+    } else if (block === 0x2c) {
+      frames += 1;
+      const flags = head[offset + 9];
+      offset += 10 + (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0); // Image descriptor and local color table
+      offset = skipSubBlocks(offset + 1); // LZW minimum code size, image data
+    } else {
+      break; // Trailer or corrupt data
+    }
+  }
+
+  return { type: 'gif', width: head.readUInt16LE(6), height: head.readUInt16LE(8), animated: frames > 1 };
+}
+
+/**
+ * Reads the size of a JPEG image from its first start-of-frame marker.
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {Object|null}
+ */
+function readJpeg(head) {
+  let offset = 2;
+
+  while (offset + 9 <= head.length) {
+    if (head[offset] !== 0xff) {
+      return null;
+    }
+    const marker = head[offset + 1];
+    if (marker === 0xff) {
+      offset += 1; // Fill byte
+      continue;
+    }
+
+    // SOF0 to SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { type: 'jpeg', width: head.readUInt16BE(offset + 7), height: head.readUInt16BE(offset + 5), animated: false };
+    }
+    offset += 2 + head.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+/**
+ * Reads the size of a WebP image from its `VP8 `, `VP8L` or `VP8X` chunk.
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {Object|null}
+ */
+function readWebp(head) {
+  if (head.length < 30) {
+    return null;
+  }
+
+  const chunk = head.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { type: 'webp', width: head.readUInt16LE(26) & 0x3fff, height: head.readUInt16LE(28) & 0x3fff, animated: false };
+  }
+  if (chunk === 'VP8L') {
+    const bits = head.readUInt32LE(21);
+    return { type: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, animated: false };
+  }
+  if (chunk === 'VP8X') {
+    return {
+      type: 'webp',
+      width: head.readUIntLE(24, 3) + 1,
+      height: head.readUIntLE(27, 3) + 1,
+      animated: (head[20] & 0x02) !== 0,
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads the pixel size of a PNG, JPEG, GIF or WebP image from its header, without decoding it.
+ *
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {Object|null} - `{ type, width, height, animated }`, or null if the content is not a supported image.
+ */
+function readImageInfo(head) {
+  if (head.length >= 8 && head.readUInt32BE(0) === 0x89504e47) {
+    return readPng(head);
+  }
+  if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+    return readJpeg(head);
+  }
+  if (head.toString('latin1', 0, 4) === 'GIF8') {
+    return readGif(head);
+  }
+  if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') {
+    return readWebp(head);
+  }
+  return null;
+}
+
+module.exports = {
+  IMAGE_HEAD_SIZE,
+  readImageInfo
+};
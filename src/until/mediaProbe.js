@@ -0,0 +1,71 @@
+const { Readable } = require('stream');
+
+// Code of the errors meaning that the file is not valid media, as opposed to ffprobe being missing or misconfigured
+const INVALID_MEDIA = 'INVALID_MEDIA';
+
+// ffprobe failures caused by access to the input rather than its content
+const ACCESS_ERRORS = /Permission denied|No such file or directory/;
+
+/**
+ * Finds what ffprobe should read for a file: a path, or the Buffer of an in-memory upload.
+ *
+ * @param {Buffer|string|Object} file - A Buffer, a path, or a multer/formidable file object.
+ * @returns {Buffer|string|null} - The path or Buffer, or null if the content is not available.
+ */
+function mediaSource(file) {
+  if (Buffer.isBuffer(file) || typeof file === 'string') {
+    return file;
+  }
+  if (file && Buffer.isBuffer(file.buffer)) {
+    return file.buffer;
+  }
+  const path = file && (file.filepath || file.path);
+  return typeof path === 'string' ? path : null;
+}
+
+/**
+ * Reads the metadata of an audio or video file with ffprobe, through `fluent-ffmpeg`.
+ * The `ffprobe` binary must be installed, or its location set with `FFPROBE_PATH`.
+ * When ffprobe runs but cannot read the content, the error has the `INVALID_MEDIA` code. Other errors,
+ * such as a missing binary, keep their own.
+ *
+ * @param {Buffer|string} source - The path or Buffer returned by `mediaSource()`.
+ * @returns {Promise<Object>} - The ffprobe metadata, with `format` and `streams`.
+ */
+function ffprobe(source) {
+  const ffmpeg = require('fluent-ffmpeg'); // Loaded on first use, so it is only needed by media rules
+
+  return new Promise((resolve, reject) => {
+    const command = typeof source === 'string' ? ffmpeg(source) : ffmpeg(Readable.from(source));
+    command.ffprobe((error, metadata) => {
+      if (!error) {
+        return resolve(metadata);
+      }
+      // fluent-ffmpeg reports a non-zero exit with the stderr of ffprobe, e.g. "Invalid data found when processing input"
+      if (/^ffprobe exited with code/.test(error.message) && !ACCESS_ERRORS.test(error.message)) {
+        error.code = INVALID_MEDIA;
+      }
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Returns the duration of a media file in seconds, from the container or the longest stream.
+ *
+ * @param {Object} metadata - The ffprobe metadata.
+ * @returns {number|null} - The duration, or null if it is unknown.
+ */
+function mediaDuration(metadata) {
+  const durations = [metadata.format && metadata.format.duration, ...(metadata.streams || []).map((stream) => stream.duration)]
+    .map(Number)
+    .filter((duration) => Number.isFinite(duration));
+  return durations.length ? Math.max(...durations) : null;
+}
+
+module.exports = {
+  INVALID_MEDIA,
+  mediaSource,
+  ffprobe,
+  mediaDuration
+};
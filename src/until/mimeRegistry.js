@@ -0,0 +1,140 @@
+/**
+ * MIME types keyed by file extension. The first MIME type is the standard one, the others are
+ * aliases sent by some browsers and clients (e.g. `image/jpg`).
+ */
+const registry = {
+  // Images
+  jpg: ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+  jpeg: ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+  png: ['image/png', 'image/x-png'],
+  gif: ['image/gif'],
+  webp: ['image/webp'],
+  svg: ['image/svg+xml'],
+  bmp: ['image/bmp', 'image/x-ms-bmp'],
+  tif: ['image/tiff'],
+  tiff: ['image/tiff'],
+  ico: ['image/x-icon', 'image/vnd.microsoft.icon'],
+  heic: ['image/heic'],
+  heif: ['image/heif'],
+  avif: ['image/avif'],
+
+  // Documents
+  pdf: ['application/pdf'],
+  txt: ['text/plain'],
+  csv: ['text/csv', 'application/csv'],
+  json: ['application/json'],
+  xml: ['application/xml', 'text/xml'],
+  html: ['text/html'],
+  md: ['text/markdown'],
+  rtf: ['application/rtf', 'text/rtf'],
+  doc: ['application/msword'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  xls: ['application/vnd.ms-excel'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ppt: ['application/vnd.ms-powerpoint'],
+  pptx: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  odt: ['application/vnd.oasis.opendocument.text'],
+  ods: ['application/vnd.oasis.opendocument.spreadsheet'],
+  epub: ['application/epub+zip'],
+
+  // Archives
+  zip: ['application/zip', 'application/x-zip-compressed'],
+  gz: ['application/gzip', 'application/x-gzip'],
+  tar: ['application/x-tar'],
+  rar: ['application/vnd.rar', 'application/x-rar-compressed'],
+  '7z': ['application/x-7z-compressed'],
+
+  // Audio
+  mp3: ['audio/mpeg', 'audio/mp3'],
+  wav: ['audio/wav', 'audio/x-wav', 'audio/wave'],
+  ogg: ['audio/ogg', 'application/ogg'],
+  oga: ['audio/ogg'],
+  opus: ['audio/opus', 'audio/ogg'],
+  flac: ['audio/flac', 'audio/x-flac'],
+  aac: ['audio/aac'],
+  m4a: ['audio/mp4', 'audio/x-m4a'],
+  weba: ['audio/webm'],
+
+  // Video
+  mp4: ['video/mp4'],
+  m4v: ['video/x-m4v', 'video/mp4'],
+  mov: ['video/quicktime'],
+  webm: ['video/webm'],
+  mkv: ['video/x-matroska'],
+  avi: ['video/x-msvideo'],
+  ogv: ['video/ogg'],
+  '3gp': ['video/3gpp'],
+  mpeg: ['video/mpeg'],
+};
+
+/**
+ * Normalizes a MIME type for comparison: lower case, without parameters such as `charset`.
+ *
+ * @param {string} mimeType - The MIME type.
+ * @returns {string} - The normalized MIME type.
+ */
+function normalizeMimeType(mimeType) {
+  return String(mimeType).toLowerCase().split(';')[0].trim();
+}
+
+/**
+ * Registers an extension, or adds MIME types to an existing one.
+ *
+ * @param {string} extension - The extension, with or without the leading dot (e.g. `dwg`).
+ * @param {string|string[]} mimeTypes - The MIME type(s). The first one is the standard type.
+ */
+function registerMimeType(extension, mimeTypes) {
+  const key = extension.toLowerCase().replace(/^\./, '');
+  const added = [].concat(mimeTypes).map(normalizeMimeType);
+  registry[key] = [...new Set([...added, ...(registry[key] || [])])];
+}
+
+/**
+ * Resolves the types accepted by `type()` into MIME types and wildcard groups.
+ * Each type is an extension (`jpg`, `.jpg`), a raw MIME type (`image/jpeg`) or a wildcard group (`image/*`).
+ *
+ * @param {string[]} types - The accepted types.
+ * @returns {Object} - `mimeTypes` and wildcard `groups` (e.g. `image/`) accepted, and the `unknown` extensions.
+ */
+function resolveMimeTypes(types) {
+  const mimeTypes = new Set();
+  const groups = [];
+  const unknown = [];
+
+  for (let type of types) {
+    const value = normalizeMimeType(type);
+    if (value.endsWith('/*')) {
+      groups.push(value.slice(0, -1));
+    } else if (value.includes('/')) {
+      mimeTypes.add(value);
+    } else if (registry[value.replace(/^\./, '')]) {
+      registry[value.replace(/^\./, '')].forEach((mimeType) => mimeTypes.add(mimeType));
+    } else {
+      unknown.push(type);
+    }
+  }
+
+  return { mimeTypes, groups, unknown };
+}
+
+/**
+ * Checks whether a MIME type is accepted by the resolved types.
+ *
+ * @param {string|null} mimeType - The MIME type of the file.
+ * @param {Object} accepted - The result of `resolveMimeTypes()`.
+ * @returns {boolean}
+ */
+function acceptsMimeType(mimeType, accepted) {
+  if (!mimeType) {
+    return false;
+  }
+  const value = normalizeMimeType(mimeType);
+  return accepted.mimeTypes.has(value) || accepted.groups.some((group) => value.startsWith(group));
+}
+
+module.exports = {
+  normalizeMimeType,
+  registerMimeType,
+  resolveMimeTypes,
+  acceptsMimeType
+};
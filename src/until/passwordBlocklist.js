@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+// The 49,233 most frequent passwords of public breach dumps, most frequent first, one per line, gzipped.
+// Taken from @zxcvbn-ts/language-common (MIT, see common-passwords.LICENSE.txt)
+const BUNDLED_LIST = path.join(__dirname, '..', 'data', 'common-passwords.txt.gz');
+
+// Leetspeak substitutions undone before matching, so that `P@ssw0rd` matches `password`
+const LEET_MAP = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't' };
+
+const lists = new Map(); // Password sets and hash maps by file, loaded on first use
+
+/**
+ * Normalizes a password for matching against a list: case is ignored and leetspeak is undone.
+ *
+ * @param {string} value - The password.
+ * @returns {string} - The normalized password.
+ */
+function normalizePassword(value) {
+  return [...value.normalize('NFKC').toLowerCase()].map((char) => LEET_MAP[char] || char).join('');
+}
+
+/**
+ * Reads a list of passwords, one per line, into a set of normalized passwords.
+ * @param {string} content - The content of the list.
+ * @returns {Set<string>}
+ */
+function parseList(content) {
+  const set = new Set();
+  for (let line of content.split(/\r?\n/)) {
+    if (line !== '') {
+      set.add(normalizePassword(line));
+    }
+  }
+  return set;
+}
+
+/**
+ * Loads a list file once and caches it.
+ * @param {string} file - The path of the file.
+ * @param {Function} load - Function `() => Set|Map`.
+ * @returns {Set|Map}
+ */
+function cachedList(file, load) {
+  if (!lists.has(file)) {
+    lists.set(file, load());
+  }
+  return lists.get(file);
+}
+
+/**
+ * Creates a matcher for a list of common passwords.
+ * Lists are only read when the first password is checked, so defining a validator stays cheap.
+ *
+ * @param {string[]|Set<string>|string} [list] - The passwords, or the path of a text file with one password per line
+ *   (gzipped if it ends with `.gz`). Defaults to the bundled list.
+ * @returns {Function} - Function `(password) => boolean`, true when the password is in the list.
+ */
+function createListMatcher(list = BUNDLED_LIST) {
+  let set = null;
+  const load = () => {
+    if (typeof list !== 'string') {
+      return parseList([...list].join('\n'));
+    }
+    return cachedList(list, () => {
+      const content = fs.readFileSync(list);
+      return parseList((list.endsWith('.gz') ? zlib.gunzipSync(content) : content).toString('utf8'));
+    });
+  };
+
+  return (password) => {
+    set = set || load();
+    return set.has(normalizePassword(password));
+  };
+}
+
+/**
+ * Reads a range file into a map of hashes to counts.
+ * @param {string} content - Lines of `SUFFIX:COUNT` or `HASH:COUNT`. The count is optional.
+ * @returns {Map<string, number>}
+ */
+function parseHashes(content) {
+  const hashes = new Map();
+  for (let line of content.split(/\r?\n/)) {
+    const [hash, count = '1'] = line.split(':');
+    if (hash.trim() !== '') {
+      hashes.set(hash.trim().toUpperCase(), Number(count));
+    }
+  }
+  return hashes;
+}
+
+/**
+ * Creates a matcher for local SHA-1 hashes of breached passwords, in the Have I Been Pwned range format.
+ * The source can be a directory of range files named after the first 5 characters of the hash (`21BD1.txt`),
+ * with `SUFFIX:COUNT` lines, or a single file with `HASH:COUNT` lines.
+ * The password is checked as given, in lowercase and with leetspeak undone.
+ *
+ * @param {string} source - The directory or file.
+ * @param {number} [minCount=1] - How many times a password must have been seen to match.
+ * @returns {Function} - Function `(password) => boolean`, true when the password was breached.
+ */
+function createHashMatcher(source, minCount = 1) {
+  let isDirectory = null;
+
+  const countOf = (hash) => {
+    isDirectory = isDirectory ?? fs.statSync(source).isDirectory();
+    if (!isDirectory) {
+      return cachedList(source, () => parseHashes(fs.readFileSync(source, 'utf8'))).get(hash) || 0;
+    }
+    // Range files are small, so they are read on each check rather than kept in memory
+    const prefix = hash.slice(0, 5);
+    const file = [path.join(source, `${prefix}.txt`), path.join(source, prefix)].find((candidate) => fs.existsSync(candidate));
+    return file ? parseHashes(fs.readFileSync(file, 'utf8')).get(hash.slice(5)) || 0 : 0;
+  };
+
+  return (password) => {
+    // Hashes are of exact passwords, so the leetspeak variants are hashed too, keeping trailing digits such as `1` or `2024`
+    const [, body, digits] = /^(.*?)(\d*)$/su.exec(password);
+    const candidates = new Set([password, password.toLowerCase(), normalizePassword(body) + digits, normalizePassword(password)]);
+    return [...candidates].some((candidate) => {
+      const hash = crypto.createHash('sha1').update(candidate, 'utf8').digest('hex').toUpperCase();
+      return countOf(hash) >= minCount;
+    });
+  };
+}
+
+module.exports = {
+  normalizePassword,
+  createListMatcher,
+  createHashMatcher
+};
@@ -0,0 +1,191 @@
+// Character classes, with the number of characters an attacker has to try for each
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /\p{Ll}/u, size: 26 },
+  uppercase: { pattern: /\p{Lu}/u, size: 26 },
+  number: { pattern: /\p{N}/u, size: 10 },
+  special: { pattern: /[^\p{L}\p{N}]/u, size: 33 },
+};
+
+// Rows of a QWERTY keyboard, used to find patterns such as `qwerty` and `asdf`
+const KEYBOARD_ROWS = ['1234567890-=', 'qwertyuiop[]', 'asdfghjkl;\'', 'zxcvbnm,./'];
+
+// Strength levels, from a score of 0 to 4, and the entropy (in bits) needed to reach each level
+const STRENGTH_LEVELS = ['very-weak', 'weak', 'fair', 'strong', 'very-strong'];
+const STRENGTH_THRESHOLDS = [0, 28, 40, 60, 80];
+
+// Shortest runs counted as patterns
+const MIN_REPEAT = 3;
+const MIN_SEQUENCE = 3;
+const MIN_KEYBOARD = 4;
+
+/**
+ * Lists the character classes found in a password.
+ *
+ * @param {string} value - The password.
+ * @returns {string[]} - The classes found: `lowercase`, `uppercase`, `number` and `special`.
+ */
+function characterClasses(value) {
+  return Object.keys(CHARACTER_CLASSES).filter((name) => CHARACTER_CLASSES[name].pattern.test(value));
+}
+
+/**
+ * Measures the run of the same character starting at an index.
+ * @param {string[]} chars - The characters of the password.
+ * @param {number} start - The index.
+ * @returns {number} - The length of the run.
+ */
+function repeatLength(chars, start) {
+  let end = start + 1;
+  while (end < chars.length && chars[end] === chars[start]) {
+    end += 1;
+  }
+  return end - start;
+}
+
+/**
+ * Measures the run of consecutive letters or digits (`abcd`, `4321`) starting at an index.
+ * @param {string[]} chars - The characters of the password.
+ * @param {number} start - The index.
+ * @returns {number} - The length of the run.
+ */
+function sequenceLength(chars, start) {
+  const code = (index) => chars[index].toLowerCase().codePointAt(0);
+  const isAlphanumeric = (index) => /^[a-z0-9]$/i.test(chars[index]);
+  if (start + 1 >= chars.length || !isAlphanumeric(start) || !isAlphanumeric(start + 1)) {
+    return 1;
+  }
+
+  const step = code(start + 1) - code(start);
+  if (Math.abs(step) !== 1) {
+    return 1;
+  }
+  let end = start + 1;
+  while (end < chars.length && isAlphanumeric(end) && code(end) - code(end - 1) === step) {
+    end += 1;
+  }
+  return end - start;
+}
+
+/**
+ * Measures the run of adjacent keys on a keyboard row (`qwerty`, `lkjh`) starting at an index.
+ * @param {string[]} chars - The characters of the password.
+ * @param {number} start - The index.
+ * @returns {number} - The length of the run.
+ */
+function keyboardLength(chars, start) {
+  const lower = chars.map((char) => char.toLowerCase());
+  let longest = 1;
+
+  for (let row of KEYBOARD_ROWS) {
+    const position = row.indexOf(lower[start]);
+    if (position === -1) {
+      continue;
+    }
+    for (let step of [1, -1]) {
+      let length = 1;
+      while (start + length < lower.length && row[position + step * length] === lower[start + length]) {
+        length += 1;
+      }
+      longest = Math.max(longest, length);
+    }
+  }
+  return longest;
+}
+
+/**
+ * Finds the first run of a pattern type with at least `minLength` characters.
+ *
+ * @param {string} value - The password.
+ * @param {string} type - `repeat`, `sequence` or `keyboard`.
+ * @param {number} minLength - The shortest run reported.
+ * @returns {string|null} - The run, or null if there is none.
+ */
+function findRun(value, type, minLength) {
+  const chars = [...value];
+  const measure = { repeat: repeatLength, sequence: sequenceLength, keyboard: keyboardLength }[type];
+
+  for (let index = 0; index < chars.length; index++) {
+    const length = measure(chars, index);
+    if (length >= minLength) {
+      return chars.slice(index, index + length).join('');
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the patterns of a password: repeated characters, sequences and keyboard patterns.
+ *
+ * @param {string} value - The password.
+ * @returns {Object[]} - The patterns, as `{ type, text }`, where `type` is `repeat`, `sequence` or `keyboard`.
+ */
+function findPatterns(value) {
+  const chars = [...value];
+  const patterns = [];
+
+  for (let index = 0; index < chars.length; ) {
+    const candidates = [
+      { type: 'repeat', length: repeatLength(chars, index), min: MIN_REPEAT },
+      { type: 'sequence', length: sequenceLength(chars, index), min: MIN_SEQUENCE },
+      { type: 'keyboard', length: keyboardLength(chars, index), min: MIN_KEYBOARD },
+    ].filter((candidate) => candidate.length >= candidate.min);
+
+    if (candidates.length === 0) {
+      index += 1;
+      continue;
+    }
+    const { type, length } = candidates.reduce((longest, candidate) => (candidate.length > longest.length ? candidate : longest));
+    patterns.push({ type, text: chars.slice(index, index + length).join('') });
+    index += length;
+  }
+  return patterns;
+}
+
+/**
+ * Estimates the strength of a password from its length and the size of its character pool.
+ * Repeated characters, sequences and keyboard patterns only count as much as their first character
+ * and their length, as they are among the first guesses of an attacker.
+ *
+ * @param {string} value - The password.
+ * @returns {Object} - `{ score, level, entropy, patterns, classes }`, with a `score` from 0 to 4 and
+ *   its `level` (`very-weak`, `weak`, `fair`, `strong` or `very-strong`).
+ */
+function estimateStrength(value) {
+  const chars = [...value];
+  const classes = characterClasses(value);
+  const poolSize = classes.reduce((size, name) => size + CHARACTER_CLASSES[name].size, 0)
+    + (/[^\x00-\x7F]/.test(value) ? 100 : 0); // Non-ASCII characters widen the pool
+  const bitsPerChar = Math.log2(Math.max(poolSize, 1));
+  const patterns = findPatterns(value);
+
+  const patternLength = patterns.reduce((total, pattern) => total + [...pattern.text].length, 0);
+  const entropy = (chars.length - patternLength) * bitsPerChar
+    + patterns.reduce((total, pattern) => total + bitsPerChar + Math.log2([...pattern.text].length), 0);
+
+  const score = STRENGTH_THRESHOLDS.filter((threshold) => entropy >= threshold).length - 1;
+  return { score, level: STRENGTH_LEVELS[score], entropy: Math.round(entropy * 10) / 10, patterns, classes };
+}
+
+/**
+ * Resolves a strength level given as a score (0 to 4) or a level name.
+ *
+ * @param {number|string} level - The level.
+ * @returns {number} - The score.
+ */
+function resolveStrengthLevel(level) {
+  const score = typeof level === 'number' ? level : STRENGTH_LEVELS.indexOf(level);
+  if (!Number.isInteger(score) || score < 0 || score > 4) {
+    throw new Error(`Invalid strength level "${level}". Use 0 to 4 or one of: ${STRENGTH_LEVELS.join(', ')}.`);
+  }
+  return score;
+}
+
+module.exports = {
+  CHARACTER_CLASSES,
+  STRENGTH_LEVELS,
+  characterClasses,
+  findRun,
+  findPatterns,
+  estimateStrength,
+  resolveStrengthLevel
+};
@@ -0,0 +1,84 @@
+// Units in which the length of a string can be measured
+const LENGTH_UNITS = ['utf16', 'codepoint', 'grapheme', 'byte'];
+
+// Unicode normalization forms accepted by String.prototype.normalize()
+const NORMALIZATION_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+// Control, format and separator characters, plus blank characters that render as nothing (Hangul fillers).
+// Zero-width joiners are allowed: emoji sequences and several scripts need them.
+const INVISIBLE_PATTERN = /(?![\u200C\u200D])[\p{Cc}\p{Cf}\p{Zl}\p{Zp}\u115F\u1160\u3164\uFFA0]/u;
+const INVISIBLE_MULTILINE_PATTERN = /(?![\u200C\u200D\t\n\r])[\p{Cc}\p{Cf}\p{Zl}\p{Zp}\u115F\u1160\u3164\uFFA0]/u;
+
+let segmenter; // Created on first use
+
+/**
+ * Measures the length of a string.
+ *
+ * @param {string} value - The string.
+ * @param {string} [unit='utf16'] - `utf16` (like `value.length`), `codepoint`, `grapheme` (user-perceived
+ *   characters, e.g. an emoji with skin tone counts as 1) or `byte` (UTF-8 bytes, as stored by most databases).
+ * @returns {number} - The length.
+ */
+function measureLength(value, unit = 'utf16') {
+  switch (unit) {
+    case 'codepoint':
+      return [...value].length;
+    case 'grapheme': {
+      segmenter = segmenter || new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+      return Array.from(segmenter.segment(value)).length;
+    }
+    case 'byte':
+      return Buffer.byteLength(value, 'utf8');
+    default:
+      return value.length;
+  }
+}
+
+/**
+ * Checks a length unit, so that typos fail when the rule is defined rather than when it runs.
+ *
+ * @param {string} unit - The unit.
+ * @returns {string} - The unit.
+ */
+function assertLengthUnit(unit) {
+  if (!LENGTH_UNITS.includes(unit)) {
+    throw new Error(`Invalid length unit "${unit}". Use one of: ${LENGTH_UNITS.join(', ')}.`);
+  }
+  return unit;
+}
+
+/**
+ * Checks a Unicode normalization form.
+ *
+ * @param {string} form - The form.
+ * @returns {string} - The form.
+ */
+function assertNormalizationForm(form) {
+  if (!NORMALIZATION_FORMS.includes(form)) {
+    throw new Error(`Invalid normalization form "${form}". Use one of: ${NORMALIZATION_FORMS.join(', ')}.`);
+  }
+  return form;
+}
+
+/**
+ * Finds the first control or invisible character of a string, such as a zero-width space or a
+ * right-to-left override.
+ *
+ * @param {string} value - The string.
+ * @param {boolean} [multiline=false] - Allow tabs and line breaks.
+ * @returns {string|null} - The code point of the character (e.g. `U+200B`), or null if there is none.
+ */
+function findInvisibleCharacter(value, multiline = false) {
+  const match = (multiline ? INVISIBLE_MULTILINE_PATTERN : INVISIBLE_PATTERN).exec(value);
+  if (!match) {
+    return null;
+  }
+  return `U+${match[0].codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+module.exports = {
+  measureLength,
+  assertLengthUnit,
+  assertNormalizationForm,
+  findInvisibleCharacter
+};
@@ -1,4 +1,5 @@
-
+const { createIssue, formatIssues } = require('./errorHelper');
+const { resolveLabel } = require('./i18n');
 
 /**
  * Validates the type of the value (string or array).
@@ -11,16 +12,29 @@
 function validateType(value, fieldName, isArray) {
     if (isArray) {
       if (!Array.isArray(value)) {
-        return { isValid: false, error: `${fieldName} must be an array` };
+        return {
+          isValid: false,
+          error: createIssue('invalid_type', { key: 'string.array', field: fieldName, params: { expected: 'array' } }),
+        };
       }
   
       for (let index = 0; index < value.length; index++) {
         if (typeof value[index] !== 'string') {
-          return { isValid: false, error: `${fieldName}[${index}] must be a string` };
+          return {
+            isValid: false,
+            error: createIssue('invalid_type', {
+              key: 'string.array_item',
+              field: fieldName,
+              params: { expected: 'string', index },
+            }),
+          };
         }
       }
     } else if (value != null && typeof value !== 'string') {
-      return { isValid: false, error: `${fieldName} must be a string` };
+      return {
+        isValid: false,
+        error: createIssue('invalid_type', { key: 'string.type', field: fieldName, params: { expected: 'string' } }),
+      };
     }
   
     return { isValid: true, error: null };
@@ -52,9 +66,220 @@ function validateType(value, fieldName, isArray) {
   
     return { isValid, errors, value: validData };
   }
+
+  /**
+   * Joins a parent path and a key into a dotted path (e.g. `items.2.price`).
+   * 
+   * @param {string} parent - The parent path, empty for the root.
+   * @param {string|number} key - The field name or array index.
+   * @returns {string} - The joined path.
+   */
+  function joinPath(parent, key) {
+    return parent ? `${parent}.${key}` : String(key);
+  }
+
+  /**
+   * Merges the errors of a nested validation into an errors map keyed by path.
+   * Leaf validators return an array of messages, which is stored under `path`.
+   * Object and array validators return a map that is already keyed by path.
+   * 
+   * @param {Object} target - The errors map to merge into.
+   * @param {string} path - The path of the validated value.
+   * @param {string[]|Object} errors - The errors returned by the validator.
+   * @returns {Object} - The updated errors map.
+   */
+  function mergeErrors(target, path, errors) {
+    if (Array.isArray(errors)) {
+      target[path] = errors;
+    } else {
+      Object.assign(target, errors);
+    }
+    return target;
+  }
+  
+  const TIMED_OUT = Symbol('timedOut'); // Resolved value of a rule that exceeded its timeout
+
+  /**
+   * Creates a synchronous rule from a predicate.
+   * 
+   * @param {Function} check - Function `(value, fieldName) => boolean`, returning `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {string} [options.code='custom'] - Error code reported in structured errors.
+   * @returns {Function} - Rule `(value, fieldName) => Object` returning `valid` and `error`.
+   */
+  function createCustomRule(check, options = {}) {
+    const { code = 'custom' } = options;
+
+    return (value, fieldName) => {
+      const outcome = check(value, fieldName);
+
+      if (outcome && typeof outcome.then === 'function') {
+        throw new Error(`The custom rule for ${fieldName} returned a Promise. Use customAsync() instead.`);
+      }
+      if (!outcome) {
+        return { valid: false, error: createIssue(code, { key: 'custom', field: fieldName, message: options.message }) };
+      }
+      return { valid: true, value };
+    };
+  }
+
+  /**
+   * Applies transforms, in order, to the data of a successful validation result.
+   * Failed results and `null` data are returned unchanged.
+   * 
+   * @param {Object} result - The validation result.
+   * @param {Function[]} transforms - Functions `(value) => newValue`.
+   * @returns {Object} - The result with the transformed data.
+   */
+  function applyTransforms(result, transforms) {
+    if (!result.valid || result.data === null || transforms.length === 0) {
+      return result;
+    }
+    return { valid: true, data: transforms.reduce((data, transform) => transform(data), result.data) };
+  }
+
+  /**
+   * Completes a validation result for the caller: transforms valid data, or formats the issues
+   * of an invalid result as messages (default) or structured errors (`options.structured`),
+   * rendered in `options.locale`.
+   * 
+   * @param {Object} result - The result, with `errors` holding issues when invalid.
+   * @param {Function[]} transforms - Transforms applied to valid data.
+   * @param {Object} options - The options passed to `validate()`.
+   * @param {string} defaultFieldName - The field name used when `options.fieldName` is not set.
+   * @returns {Object} - The final validation result.
+   */
+  function finishResult(result, transforms, options, defaultFieldName) {
+    if (result.valid) {
+      return applyTransforms(result, transforms);
+    }
+
+    const { fieldName = defaultFieldName, path = fieldName, structured = false, locale } = options;
+    return { ...result, errors: formatIssues(result.errors, path, { structured, locale }) };
+  }
+
+  /**
+   * Returns the name shown for a field in messages: its label in the requested locale,
+   * or the field name when no label is set.
+   * 
+   * @param {Object} options - The options passed to `validate()`.
+   * @param {string|Object} [options.label] - A label, or a map of locales to labels.
+   * @param {string} [options.locale] - The locale of the messages.
+   * @param {string} [options.fieldName] - The name of the field.
+   * @param {string} defaultFieldName - The field name used when `options.fieldName` is not set.
+   * @returns {string} - The name shown in messages.
+   */
+  function fieldLabel(options, defaultFieldName) {
+    const { fieldName = defaultFieldName, label, locale } = options;
+    return resolveLabel(label, locale) || fieldName;
+  }
+
+  /**
+   * Creates an async rule from a predicate, with an optional timeout.
+   * 
+   * @param {Function} check - Function `(value, fieldName) => Promise<boolean>`, resolving to `true` when valid.
+   * @param {Object} [options] - Optional parameters.
+   * @param {string} [options.message] - Custom error message.
+   * @param {number} [options.timeout] - Milliseconds to wait before the rule fails.
+   * @param {string} [options.timeoutMessage] - Custom error message when the rule times out.
+   * @param {string} [options.code='custom'] - Error code reported in structured errors.
+   * @param {string} [options.key='custom'] - The message key in the locale catalogs.
+   * @returns {Function} - Rule `(value, fieldName) => Promise<Object>` resolving to `valid` and `error`.
+   */
+  function createAsyncRule(check, options = {}) {
+    const { message, timeout, timeoutMessage, code = 'custom', key = 'custom' } = options;
+
+    return async (value, fieldName) => {
+      const outcome = await withTimeout(Promise.resolve(check(value, fieldName)), timeout);
+
+      if (outcome === TIMED_OUT) {
+        return {
+          valid: false,
+          error: createIssue('timeout', { field: fieldName, params: { timeout }, message: timeoutMessage }),
+        };
+      }
+      if (!outcome) {
+        return { valid: false, error: createIssue(code, { key, field: fieldName, message }) };
+      }
+      return { valid: true, value };
+    };
+  }
+
+  /**
+   * Resolves to `TIMED_OUT` if the promise does not settle within `timeout` milliseconds.
+   * 
+   * @param {Promise} promise - The promise to wait for.
+   * @param {number} [timeout] - Milliseconds to wait. No limit when omitted.
+   * @returns {Promise} - The promise result or `TIMED_OUT`.
+   */
+  function withTimeout(promise, timeout) {
+    if (!timeout) {
+      return promise;
+    }
+
+    let timer;
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(TIMED_OUT), timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Runs async rules concurrently against the value.
+   * 
+   * @param {*} value - The value to validate.
+   * @param {string} fieldName - The name of the field.
+   * @param {Array} rules - The async validation rules.
+   * @returns {Promise<Object>} - Contains `isValid` and `errors` (if any).
+   */
+  async function validateAsyncRules(value, fieldName, rules) {
+    const results = await Promise.all(rules.map((rule) => rule(value, fieldName)));
+    const errors = results.filter((result) => !result.valid).map((result) => result.error);
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Runs a validator through `validateAsync()` when it has one, falling back to `validate()`.
+   * 
+   * @param {Object} validator - Any validator with a `validate` method.
+   * @param {*} value - The value to validate.
+   * @param {Object} options - Options passed to the validator.
+   * @returns {Promise<Object>} - The validation result.
+   */
+  async function validateWithAsync(validator, value, options) {
+    if (typeof validator.validateAsync === 'function') {
+      return validator.validateAsync(value, options);
+    }
+    return validator.validate(value, options);
+  }
+
+  /**
+   * Throws when async rules are attached to a validator used synchronously.
+   * 
+   * @param {Array} asyncRules - The async rules of the validator.
+   * @param {string} name - The validator name, used in the error message.
+   * @param {string} [asyncMethod='validateAsync'] - The method to use instead.
+   */
+  function assertNoAsyncRules(asyncRules, name, asyncMethod = 'validateAsync') {
+    if (asyncRules.length > 0) {
+      throw new Error(`${name} has async rules attached. Use ${asyncMethod}() instead.`);
+    }
+  }
   
   module.exports = {
     validateType,
-    validateRules
+    validateRules,
+    joinPath,
+    mergeErrors,
+    createCustomRule,
+    applyTransforms,
+    finishResult,
+    fieldLabel,
+    createAsyncRule,
+    validateAsyncRules,
+    validateWithAsync,
+    assertNoAsyncRules
   };
   
\ No newline at end of file
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+
+test('bigint() rejects limits that are not whole numbers when the rule is defined', () => {
+  assert.throws(() => v.bigint().min('1.5'), { message: `min() expects a bigint, an integer or a whole-number string such as '10', got "1.5".` });
+  assert.throws(() => v.bigint().max(2.5), /max\(\) expects a bigint/);
+  assert.throws(() => v.bigint().gt('abc'), /gt\(\) expects a bigint/);
+  assert.throws(() => v.bigint().lt(NaN), /lt\(\) expects a bigint/);
+  assert.throws(() => v.bigint().multipleOf('1e3'), /multipleOf\(\) expects a bigint/);
+  assert.throws(() => v.bigint().min(null), /min\(\) expects a bigint/);
+});
+
+test('bigint() accepts bigint, integer and whole-number string limits', () => {
+  const validator = v.bigint().min('-10').max(9007199254740993n).gt(-11).lt(' 9007199254740994 ');
+  assert.strictEqual(validator.validate(9007199254740993n).valid, true);
+  assert.strictEqual(validator.validate(-11n).valid, false);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+
+test('boolean() is strict by default', () => {
+  assert.strictEqual(v.boolean().validate('true').valid, false);
+  assert.deepStrictEqual(v.boolean().validate(false), { valid: true, data: false });
+});
+
+test('coerce.boolean() reads the default vocabulary', () => {
+  assert.deepStrictEqual(v.coerce.boolean().validate(' YES '), { valid: true, data: true });
+  assert.deepStrictEqual(v.coerce.boolean().validate(0), { valid: true, data: false });
+  assert.strictEqual(v.coerce.boolean().validate('maybe').valid, false);
+});
+
+test('a custom side takes its values from the defaults of the other side', () => {
+  assert.deepStrictEqual(v.boolean({ falsy: ['on'] }).validate('on'), { valid: true, data: false });
+  assert.deepStrictEqual(v.boolean({ falsy: ['ON'] }).validate('on'), { valid: true, data: false });
+  assert.deepStrictEqual(v.boolean({ falsy: ['on'] }).validate('true'), { valid: true, data: true });
+  assert.deepStrictEqual(v.boolean({ truthy: ['off'] }).validate('Off'), { valid: true, data: true });
+  assert.deepStrictEqual(v.boolean({ truthy: [0] }).validate(0), { valid: true, data: true });
+});
+
+test('a value on both sides throws, ignoring case', () => {
+  assert.throws(() => v.boolean({ truthy: ['Y'], falsy: ['y'] }), /both truthy and falsy: Y/);
+  assert.throws(() => v.boolean({ truthy: ['x'], falsy: ['x'] }), /both truthy and falsy/);
+});
+
+test('checkboxes read a missing value as false', () => {
+  const checkbox = () => v.boolean({ truthy: ['on'], absentAsFalse: true });
+  const schema = v.object({ terms: checkbox().accepted(), newsletter: checkbox() });
+
+  assert.deepStrictEqual(schema.validate({ terms: 'on' }), { valid: true, data: { terms: true, newsletter: false } });
+  assert.deepStrictEqual(schema.validate({ newsletter: 'on' }), { valid: false, errors: { terms: ['terms must be accepted.'] } });
+  assert.strictEqual(v.boolean().declined().validate(true).valid, false);
+});
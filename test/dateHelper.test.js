@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+const { utcDate, partsToDate, parseIsoParts, addToDate, parseRelative } = require('../src/until/dateHelper');
+
+test('utcDate keeps years below 100', () => {
+  assert.strictEqual(utcDate(50, 6, 15).toISOString(), '0050-06-15T00:00:00.000Z');
+  assert.strictEqual(utcDate(99, 1, 1, 12).toISOString(), '0099-01-01T12:00:00.000Z');
+});
+
+test('partsToDate converts years below 100 in a time zone', () => {
+  assert.strictEqual(partsToDate({ year: 50, month: 6, day: 15 }, 'UTC').toISOString(), '0050-06-15T00:00:00.000Z');
+  assert.strictEqual(partsToDate({ year: 99, month: 1, day: 1, hour: 12 }, 'Europe/Berlin').getUTCFullYear(), 99);
+});
+
+test('date() validates years below 100', () => {
+  assert.strictEqual(v.date().validate('0050-06-15').data.toISOString(), '0050-06-15T00:00:00.000Z');
+  assert.strictEqual(v.date().validate('0099-01-01').data.toISOString(), '0099-01-01T00:00:00.000Z');
+  assert.deepStrictEqual(v.date({ dateOnly: true, output: 'iso' }).validate('0050-06-15'), { valid: true, data: '0050-06-15' });
+  assert.strictEqual(v.date({ dateOnly: true }).weekday(['wednesday']).validate('0050-06-15').valid, true);
+});
+
+test('partsToDate handles daylight saving transitions', () => {
+  // New York is UTC-4 after the switch to daylight saving time on 2024-03-10, and UTC-5 in winter
+  assert.strictEqual(partsToDate({ year: 2024, month: 3, day: 10, hour: 12 }, 'America/New_York').toISOString(), '2024-03-10T16:00:00.000Z');
+  assert.strictEqual(partsToDate({ year: 2024, month: 1, day: 15, hour: 12 }, 'America/New_York').toISOString(), '2024-01-15T17:00:00.000Z');
+  assert.strictEqual(partsToDate({ year: 2024, month: 7, day: 1, offset: 120 }, 'UTC').toISOString(), '2024-06-30T22:00:00.000Z');
+});
+
+test('partsToDate moves wall times skipped by daylight saving forward', () => {
+  assert.strictEqual(partsToDate({ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }, 'America/New_York').toISOString(), '2024-03-10T07:30:00.000Z');
+  assert.strictEqual(partsToDate({ year: 2024, month: 3, day: 31, hour: 2, minute: 30 }, 'Europe/Berlin').toISOString(), '2024-03-31T01:30:00.000Z');
+  // Lord Howe Island only moves its clocks by 30 minutes
+  assert.strictEqual(partsToDate({ year: 2024, month: 10, day: 6, hour: 2, minute: 15 }, 'Australia/Lord_Howe').toISOString(), '2024-10-05T15:45:00.000Z');
+  assert.strictEqual(v.date({ timeZone: 'America/New_York' }).validate('2024-03-10T02:30').data.toISOString(), '2024-03-10T07:30:00.000Z');
+});
+
+test('partsToDate reads repeated wall times as their first occurrence', () => {
+  assert.strictEqual(partsToDate({ year: 2024, month: 11, day: 3, hour: 1, minute: 30 }, 'America/New_York').toISOString(), '2024-11-03T05:30:00.000Z');
+  assert.strictEqual(partsToDate({ year: 2024, month: 10, day: 27, hour: 2, minute: 30 }, 'Europe/Berlin').toISOString(), '2024-10-27T00:30:00.000Z');
+});
+
+test('date() rejects ISO 8601 dates of reduced precision', () => {
+  for (let value of ['2024', '2024-03', '2024-W10', '2024-070']) {
+    assert.strictEqual(v.date().validate(value).valid, false, value);
+  }
+});
+
+test('parseIsoParts is strict', () => {
+  assert.deepStrictEqual(parseIsoParts('2024-03-10T14:30:00.5+01:00'), {
+    year: 2024, month: 3, day: 10, hour: 14, minute: 30, second: 0, millisecond: 500, offset: 60, hasTime: true,
+  });
+  assert.strictEqual(parseIsoParts('2024-3-10'), null);
+  assert.strictEqual(parseIsoParts('10/03/2024'), null);
+  assert.strictEqual(v.date().validate('2023-02-29').valid, false);
+});
+
+test('addToDate clamps to the end of shorter months', () => {
+  assert.strictEqual(addToDate(utcDate(2024, 1, 31), 1, 'month').toISOString(), '2024-02-29T00:00:00.000Z');
+  assert.strictEqual(addToDate(utcDate(2024, 2, 29), -1, 'year').toISOString(), '2023-02-28T00:00:00.000Z');
+  assert.strictEqual(addToDate(utcDate(4, 1, 31), 1, 'month').toISOString(), '0004-02-29T00:00:00.000Z');
+});
+
+test('parseRelative reads past and future expressions', () => {
+  assert.deepStrictEqual(parseRelative('18 years ago'), { amount: -18, unit: 'year' });
+  assert.deepStrictEqual(parseRelative('in 2 weeks'), { amount: 2, unit: 'week' });
+  assert.deepStrictEqual(parseRelative('30 days from now'), { amount: 30, unit: 'day' });
+  assert.strictEqual(parseRelative('tomorrow'), null);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+const { parseDecimal, compareDecimals, isMultipleOfDecimal, countDecimals } = require('../src/until/decimalHelper');
+
+const huge = '9'.repeat(400);
+
+test('parseDecimal reads decimal strings and numbers exactly', () => {
+  assert.deepStrictEqual(parseDecimal('-12.50'), { units: -1250n, scale: 2 });
+  assert.deepStrictEqual(parseDecimal(0.3), { units: 3n, scale: 1 });
+  assert.deepStrictEqual(parseDecimal(1e21), { units: 10n ** 21n, scale: 0 });
+  assert.deepStrictEqual(parseDecimal(1.5e-7), { units: 15n, scale: 8 });
+  assert.strictEqual(parseDecimal('1e3'), null);
+  assert.strictEqual(parseDecimal(NaN), null);
+  assert.strictEqual(parseDecimal(Infinity), null);
+});
+
+test('compareDecimals never goes through floating point', () => {
+  assert.strictEqual(compareDecimals('0.3', 0.1 + 0.2), -1);
+  assert.strictEqual(compareDecimals(`${huge}8`, `${huge}9`), -1);
+  assert.strictEqual(compareDecimals(`${huge}9`, `${huge}8`), 1);
+  assert.strictEqual(compareDecimals(huge, `${huge}.0`), 0);
+  assert.strictEqual(compareDecimals(huge, Infinity), -1);
+  assert.strictEqual(compareDecimals(`-${huge}`, -Infinity), 1);
+  assert.strictEqual(compareDecimals(Infinity, Infinity), 0);
+});
+
+test('isMultipleOfDecimal and countDecimals handle large and infinite values', () => {
+  assert.strictEqual(isMultipleOfDecimal('0.3', '0.1'), true);
+  assert.strictEqual(isMultipleOfDecimal(`${huge}.5`, '0.5'), true);
+  assert.strictEqual(isMultipleOfDecimal(Infinity, 1), false);
+  assert.strictEqual(countDecimals('12.50'), 1);
+  assert.strictEqual(countDecimals(`${huge}.125`), 3);
+  assert.strictEqual(countDecimals(Infinity), Infinity);
+});
+
+test('number() rejects limits that are not decimals when the rule is defined', () => {
+  assert.throws(() => v.number({ decimal: true }).min('1e3'), /min\(\) expects a number or a plain decimal string/);
+  assert.throws(() => v.number().max(NaN), /max\(\) expects/);
+  assert.throws(() => v.number().gt('abc'), /gt\(\) expects/);
+  assert.throws(() => v.number().lt(undefined), /lt\(\) expects/);
+  assert.throws(() => v.number().multipleOf('x'), /multipleOf\(\) expects/);
+  assert.throws(() => v.number().multipleOf(0), /greater than 0/);
+  assert.deepStrictEqual(v.number().min(-Infinity).max(Infinity).validate(5), { valid: true, data: 5 });
+});
+
+test('number() compares large decimal strings exactly', () => {
+  const amount = v.number({ decimal: true }).max(huge);
+  assert.strictEqual(amount.validate(huge).valid, true);
+  assert.strictEqual(amount.validate(`1${'0'.repeat(400)}`).valid, false);
+  assert.strictEqual(v.number({ decimal: true }).min('0.1').validate('0.09').valid, false);
+});
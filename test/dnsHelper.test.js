@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDomainChecker } = require('../src/until/dnsHelper');
+
+const dnsError = (code) => Object.assign(new Error(code), { code });
+
+// A resolver answering from `{ mx, a, aaaa }` records by domain, where a function is called instead, and counting its lookups
+function stubResolver(records) {
+  const answer = (type) => async (domain) => {
+    resolver.calls++;
+    const value = (records[domain] || {})[type];
+    if (typeof value === 'function') {
+      return value();
+    }
+    if (value === undefined) {
+      throw dnsError('ENODATA');
+    }
+    return value;
+  };
+  const resolver = { calls: 0, resolveMx: answer('mx'), resolve4: answer('a'), resolve6: answer('aaaa') };
+  return resolver;
+}
+
+test('domains with MX records are deliverable', async () => {
+  const check = createDomainChecker({ resolver: stubResolver({ 'example.com': { mx: [{ exchange: 'mx.example.com', priority: 10 }] } }) });
+  assert.strictEqual(await check('example.com'), 'deliverable');
+});
+
+test('a null MX record means the domain accepts no mail', async () => {
+  const check = createDomainChecker({ resolver: stubResolver({ 'example.com': { mx: [{ exchange: '', priority: 0 }], a: ['192.0.2.1'] } }) });
+  assert.strictEqual(await check('example.com'), 'undeliverable');
+});
+
+test('A and AAAA records are used when there is no MX record', async () => {
+  const check = createDomainChecker({
+    resolver: stubResolver({ 'v4.example': { a: ['192.0.2.1'] }, 'v6.example': { aaaa: ['2001:db8::1'] }, 'none.example': {} }),
+  });
+  assert.strictEqual(await check('v4.example'), 'deliverable');
+  assert.strictEqual(await check('v6.example'), 'deliverable');
+  assert.strictEqual(await check('none.example'), 'undeliverable');
+});
+
+test('missing domains are undeliverable, DNS failures are errors', async () => {
+  const check = createDomainChecker({
+    resolver: stubResolver({
+      'missing.example': { mx: () => { throw dnsError('ENOTFOUND'); }, a: () => { throw dnsError('ENOTFOUND'); } },
+      'broken.example': { mx: () => { throw dnsError('ESERVFAIL'); } },
+    }),
+  });
+  assert.strictEqual(await check('missing.example'), 'undeliverable');
+  assert.strictEqual(await check('broken.example'), 'error');
+});
+
+test('slow lookups time out', async () => {
+  const check = createDomainChecker({ resolver: stubResolver({ 'slow.example': { mx: () => new Promise(() => {}) } }), timeout: 10 });
+  assert.strictEqual(await check('slow.example'), 'timeout');
+});
+
+test('definite answers are cached, failures are retried', async () => {
+  let failures = 1;
+  const resolver = stubResolver({
+    'example.com': { mx: [{ exchange: 'mx.example.com', priority: 10 }] },
+    'flaky.example': { mx: () => (failures-- > 0 ? Promise.reject(dnsError('ESERVFAIL')) : [{ exchange: 'mx.flaky.example', priority: 10 }]) },
+  });
+  const check = createDomainChecker({ resolver });
+
+  await check('example.com');
+  await check('example.com');
+  assert.strictEqual(resolver.calls, 1);
+
+  assert.strictEqual(await check('flaky.example'), 'error');
+  assert.strictEqual(await check('flaky.example'), 'deliverable');
+  assert.strictEqual(resolver.calls, 3);
+});
+
+test('the cache can be disabled', async () => {
+  const resolver = stubResolver({ 'example.com': { mx: [{ exchange: 'mx.example.com', priority: 10 }] } });
+  const check = createDomainChecker({ resolver, cacheTtl: 0 });
+  await check('example.com');
+  await check('example.com');
+  assert.strictEqual(resolver.calls, 2);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseEmail, toAsciiDomain, matchesDomain, isDisposableDomain, suggestDomain, normalizeEmail } = require('../src/until/emailHelper');
+
+test('parseEmail splits valid addresses', () => {
+  assert.deepStrictEqual(parseEmail('john.doe@example.com'), { local: 'john.doe', domain: 'example.com', asciiDomain: 'example.com' });
+  assert.deepStrictEqual(parseEmail('John@Example.COM'), { local: 'John', domain: 'Example.COM', asciiDomain: 'example.com' });
+  assert.strictEqual(parseEmail('"john doe"@example.com').local, '"john doe"');
+  assert.strictEqual(parseEmail('jöhn@bücher.de').asciiDomain, 'xn--bcher-kva.de');
+});
+
+test('parseEmail rejects malformed addresses', () => {
+  for (let value of ['noat', '@example.com', 'john@', 'a..b@x.com', '.a@x.com', 'a@x..com', 'a@-x.com', 'x@localhost', 'a@x.123']) {
+    assert.deepStrictEqual(parseEmail(value), { error: 'invalid' }, value);
+  }
+  assert.deepStrictEqual(parseEmail('"john doe"@example.com', { allowQuoted: false }), { error: 'invalid' });
+  assert.deepStrictEqual(parseEmail('jöhn@example.com', { allowUnicode: false }), { error: 'invalid' });
+});
+
+test('parseEmail only accepts domain literals when allowed', () => {
+  assert.deepStrictEqual(parseEmail('user@[192.0.2.1]'), { error: 'invalid' });
+  assert.strictEqual(parseEmail('user@[192.0.2.1]', { allowDomainLiteral: true }).asciiDomain, '[192.0.2.1]');
+});
+
+test('parseEmail enforces the length limits of RFC 5321', () => {
+  assert.deepStrictEqual(parseEmail(`${'x'.repeat(65)}@x.com`), { error: 'local_max', max: 64 });
+  assert.deepStrictEqual(parseEmail(`a@${`${'a'.repeat(63)}.`.repeat(4)}com`), { error: 'domain_max', max: 253 });
+  assert.deepStrictEqual(parseEmail(`${'x'.repeat(64)}@${`${'a'.repeat(62)}.`.repeat(3)}com`), { error: 'max', max: 254 });
+  assert.strictEqual(parseEmail(`${'x'.repeat(64)}@x.com`).local.length, 64);
+});
+
+test('domains match in their ASCII form, including subdomains', () => {
+  assert.strictEqual(toAsciiDomain('Bücher.DE'), 'xn--bcher-kva.de');
+  assert.strictEqual(matchesDomain('mail.example.com', ['example.com']), true);
+  assert.strictEqual(matchesDomain('badexample.com', ['example.com']), false);
+});
+
+test('isDisposableDomain checks the bundled list and its subdomains', () => {
+  assert.strictEqual(isDisposableDomain('mailinator.com'), true);
+  assert.strictEqual(isDisposableDomain('sub.mailinator.com'), true);
+  assert.strictEqual(isDisposableDomain('gmail.com'), false);
+});
+
+test('suggestDomain corrects typos of common providers', () => {
+  assert.strictEqual(suggestDomain('gmial.com'), 'gmail.com');
+  assert.strictEqual(suggestDomain('yaho.com'), 'yahoo.com');
+  assert.strictEqual(suggestDomain('gmail.com'), null);
+  assert.strictEqual(suggestDomain('example.org'), null);
+  assert.strictEqual(suggestDomain('acme.io', ['acme.com']), null);
+  assert.strictEqual(suggestDomain('acne.com', ['acme.com']), 'acme.com');
+});
+
+test('normalizeEmail applies the requested forms', () => {
+  const address = parseEmail('J.Doe+news@GoogleMail.com');
+  assert.strictEqual(normalizeEmail(address), 'J.Doe+news@googlemail.com');
+  assert.strictEqual(normalizeEmail(address, { stripTags: true, gmailDots: true }), 'jdoe@googlemail.com');
+  assert.strictEqual(normalizeEmail(parseEmail('jöhn@bücher.de'), { domain: 'ascii' }), 'jöhn@xn--bcher-kva.de');
+  assert.strictEqual(normalizeEmail(parseEmail('a@xn--bcher-kva.de'), { domain: 'unicode' }), 'a@bücher.de');
+});
+
+test('the bundled disposable list covers the common throwaway services', () => {
+  for (let domain of ['guerrillamail.com', '10minutemail.com', 'yopmail.com', 'temp-mail.org', 'sharklasers.com']) {
+    assert.strictEqual(isDisposableDomain(domain), true, domain);
+  }
+  assert.strictEqual(isDisposableDomain('outlook.com'), false);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+
+// A resolver whose lookups never answer
+const silentResolver = {
+  resolveMx: () => new Promise(() => {}),
+  resolve4: () => new Promise(() => {}),
+};
+
+test('deliverable() reports a DNS timeout with its own message', async () => {
+  const result = await v.email().deliverable({ resolver: silentResolver, timeout: 10 }).validateAsync('john@example.com', { structured: true });
+  assert.strictEqual(result.errors[0].code, 'timeout');
+  assert.deepStrictEqual(result.errors[0].params, { domain: 'example.com', timeout: 10 });
+  assert.strictEqual(result.errors[0].message, 'Email could not be verified in time. Please try again later.');
+});
+
+test('deliverable() uses the custom message when the DNS lookup times out or fails', async () => {
+  const failing = { resolveMx: async () => { throw Object.assign(new Error('SERVFAIL'), { code: 'ESERVFAIL' }); } };
+  const timedOut = await v.email().deliverable({ resolver: silentResolver, timeout: 10, message: 'Check your address' }).validateAsync('john@example.com');
+  const failed = await v.email().deliverable({ resolver: failing, message: 'Check your address' }).validateAsync('john@example.com');
+  assert.deepStrictEqual(timedOut.errors, ['Check your address']);
+  assert.deepStrictEqual(failed.errors, ['Check your address']);
+});
+
+test('deliverable() suggests a fix for typos of common providers', async () => {
+  const resolver = { resolveMx: async () => [], resolve4: async () => [] };
+  const result = await v.email().deliverable({ resolver }).validateAsync('john@gmial.com', { structured: true });
+  assert.strictEqual(result.errors[0].code, 'undeliverable_email');
+  assert.strictEqual(result.errors[0].params.suggestion, 'john@gmail.com');
+});
+
+test('deliverable() accepts the address on DNS failures when failing open', async () => {
+  const result = await v.email().deliverable({ resolver: silentResolver, timeout: 10, failOpen: true }).validateAsync('john@example.com');
+  assert.deepStrictEqual(result, { valid: true, data: 'john@example.com' });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+const { detectFileType, matchesDetectedType } = require('../src/until/fileSniffer');
+
+function bmpHeader() {
+  const head = Buffer.alloc(62);
+  head.write('BM', 0, 'latin1');
+  head.writeUInt32LE(62, 2);
+  head.writeUInt32LE(54, 10);
+  head.writeUInt32LE(40, 14);
+  return head;
+}
+
+function peHeader() {
+  const head = Buffer.alloc(0x100);
+  head.write('MZ', 0, 'latin1');
+  head.writeUInt32LE(0x80, 0x3c);
+  head.write('PE\0\0', 0x80, 'latin1');
+  return head;
+}
+
+function upload(content, mimetype) {
+  const buffer = Buffer.from(content);
+  return { originalname: 'upload', mimetype, size: buffer.length, buffer };
+}
+
+test('text starting like a BMP or an executable is detected as text', () => {
+  assert.strictEqual(detectFileType(Buffer.from('BMW,Audi,Volkswagen\n1,2,3\n')).mime, 'text/plain');
+  assert.strictEqual(detectFileType(Buffer.from('MZ is a country code, not an executable.\n')).mime, 'text/plain');
+  assert.strictEqual(matchesDetectedType('text/csv', detectFileType(Buffer.from('BMW,Audi\n'))), true);
+});
+
+test('valid BMP and PE headers are still detected', () => {
+  assert.strictEqual(detectFileType(bmpHeader()).mime, 'image/bmp');
+  assert.strictEqual(detectFileType(peHeader()).mime, 'application/x-msdownload');
+  assert.strictEqual(matchesDetectedType('text/plain', detectFileType(peHeader())), false);
+});
+
+test('a DOS header without a PE header is not an executable', () => {
+  const head = peHeader();
+  head.writeUInt32LE(0x400, 0x3c);
+  assert.notStrictEqual(detectFileType(head)?.mime, 'application/x-msdownload');
+});
+
+test('sniff() accepts text files starting with BM or MZ', () => {
+  assert.strictEqual(v.file().sniff().validate(upload('BMW,Audi\n1,2\n', 'text/csv')).valid, true);
+  assert.strictEqual(v.file().sniff().validate(upload('MZ notes\n', 'text/plain')).valid, true);
+  assert.strictEqual(v.file().sniff().validate(upload(peHeader(), 'text/plain')).valid, false);
+});
+
+test('AAC, MPEG and Opus files match their registered types', () => {
+  const cases = [
+    [[0xff, 0xf1, 0x50, 0x80, 0x02, 0x1f, 0xfc], 'audio/aac'],
+    [[0xff, 0xf9, 0x50, 0x80, 0x02, 0x1f, 0xfc], 'audio/aac'],
+    [[0x00, 0x00, 0x01, 0xba, 0x44, 0x00, 0x04], 'video/mpeg'],
+    [[0x4f, 0x67, 0x67, 0x53, 0x00, 0x02, 0x00], 'audio/opus'],
+  ];
+  for (let [bytes, declared] of cases) {
+    assert.strictEqual(matchesDetectedType(declared, detectFileType(Buffer.from(bytes))), true, declared);
+    assert.strictEqual(v.file().sniff().type([declared]).validate(upload(Buffer.from(bytes), declared)).valid, true, declared);
+  }
+  assert.strictEqual(v.file().sniff().type(['aac']).validate(upload(Buffer.from([0xff, 0xf1, 0x50, 0x80]), 'audio/aac')).valid, true);
+});
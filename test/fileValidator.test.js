@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+
+const image = (name, size = 1000) => ({ originalname: name, mimetype: 'image/png', size });
+const text = (name) => ({ originalname: name, mimetype: 'text/plain', size: 10 });
+
+test('validate() lists the files that passed and failed', () => {
+  const result = v.file().type(['image/*']).unique().validate([image('a.png'), text('b.txt'), image('c.png'), image('a.png')]);
+  assert.deepStrictEqual([result.passed, result.failed], [[0, 2], [1, 3]]);
+});
+
+test('errors about the whole upload fail no file', () => {
+  const result = v.file().maxFiles(1).validate([image('a.png'), image('b.png')]);
+  assert.deepStrictEqual([result.passed, result.failed], [[0, 1], []]);
+});
+
+test('validateAsync() counts the files rejected by media rules', async () => {
+  const validator = v.file()
+    .probe(async (source, file) => ({ format: { duration: file.originalname === 'long.mp4' ? 600 : 10 }, streams: [] }))
+    .duration({ max: 60 });
+  const files = ['a.mp4', 'long.mp4'].map((name) => ({ originalname: name, mimetype: 'video/mp4', size: 10, buffer: Buffer.alloc(10) }));
+  const result = await validator.validateAsync(files);
+  assert.deepStrictEqual([result.passed, result.failed], [[0], [1]]);
+});
+
+test('validateAsync() keeps the files rejected by synchronous rules', async () => {
+  const validator = v.file().type(['image/*']).customAsync(async () => true);
+  const result = await validator.validateAsync([image('a.png'), text('b.txt')]);
+  assert.deepStrictEqual([result.passed, result.failed], [[0], [1]]);
+});
+
+test('schemas report the files that passed and failed by field path', async () => {
+  const schema = v.object({ post: v.object({ gallery: v.file().type(['image/*']) }) });
+  const data = { post: { gallery: [text('a.txt'), image('b.png')] } };
+  assert.deepStrictEqual(schema.parseData(data).files, { 'post.gallery': { passed: [1], failed: [0] } });
+  assert.deepStrictEqual((await schema.parseDataAsync(data)).files, { 'post.gallery': { passed: [1], failed: [0] } });
+  assert.strictEqual(v.object({ gallery: v.file() }).parseData({ gallery: [image('a.png')] }).files, undefined);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const v = require('..');
+const { ffprobe } = require('../src/until/mediaProbe');
+
+const video = { originalname: 'clip.mp4', mimetype: 'video/mp4', size: 10, buffer: Buffer.alloc(10) };
+const failWith = (code) => async () => { throw Object.assign(new Error(code), { code }); };
+
+test('content the probe cannot read is reported as invalid media', async () => {
+  const result = await v.file().probe(failWith('INVALID_MEDIA')).duration({ max: 60 }).validateAsync(video, { structured: true });
+  assert.strictEqual(result.errors[0].code, 'invalid_media');
+});
+
+test('a missing or broken probe rejects instead of failing the upload', async () => {
+  await assert.rejects(v.file().probe(failWith('ENOENT')).duration({ max: 60 }).validateAsync(video), { code: 'ENOENT' });
+});
+
+test('ffprobe marks the inputs it cannot read as invalid media', { skip: process.platform === 'win32' }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffprobe-'));
+  const binary = path.join(dir, 'ffprobe');
+  fs.writeFileSync(binary, '#!/bin/sh\necho "pipe:0: Invalid data found when processing input" >&2\nexit 1\n', { mode: 0o755 });
+  process.env.FFPROBE_PATH = binary;
+  try {
+    await assert.rejects(ffprobe(Buffer.from('not a video')), { code: 'INVALID_MEDIA' });
+  } finally {
+    delete process.env.FFPROBE_PATH;
+    fs.rmSync(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+
+test('refine() throws when the check returns a Promise', async () => {
+  const schema = v.object({ a: v.integer() }).refine(async () => false);
+  assert.throws(() => schema.parseData({ a: 1 }), /returned a Promise\. Use refineAsync\(\) instead/);
+  await assert.rejects(schema.parseDataAsync({ a: 1 }), /Use refineAsync\(\) instead/);
+});
+
+test('cross-field helpers throw when a predicate returns a Promise', () => {
+  const schema = v.object({ a: v.integer(), b: v.integer().nullable() }).requiredIf('b', 'a', async () => true);
+  assert.throws(() => schema.parseData({ a: 1 }), /for b returned a Promise/);
+});
+
+test('refineAsync() runs async cross-field rules', async () => {
+  const schema = v.object({ a: v.integer() }).refineAsync(async () => false);
+  assert.strictEqual((await schema.parseDataAsync({ a: 1 })).valid, false);
+});
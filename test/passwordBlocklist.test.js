@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+const { createListMatcher } = require('../src/until/passwordBlocklist');
+
+test('the bundled list rejects frequent passwords, ignoring case and leetspeak', () => {
+  const isCommon = createListMatcher();
+  for (let password of ['123456', 'password', 'P@ssw0rd', 'QWERTY', 'trustno1', 'iloveyou']) {
+    assert.strictEqual(isCommon(password), true, password);
+  }
+});
+
+test('the bundled list reaches beyond the top passwords', () => {
+  const isCommon = createListMatcher();
+  assert.strictEqual(isCommon('xpcrew'), true);
+  assert.strictEqual(isCommon('correct horse battery staple'), false);
+});
+
+test('the nist preset rejects common passwords', () => {
+  assert.strictEqual(v.password().preset('nist').validate('baseball1').valid, false);
+  assert.strictEqual(v.password().preset('nist').validate('plum-orbit-canvas').valid, true);
+});
+
+test('a custom list replaces the bundled one', () => {
+  const validator = v.password().notCommon({ list: ['acme2024'] });
+  assert.strictEqual(validator.validate('ACME2024').valid, false);
+  assert.strictEqual(validator.validate('password').valid, true);
+});
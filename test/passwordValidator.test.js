@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+
+test('confirmPassword() compares the password with its confirmation', () => {
+  assert.strictEqual(v.password().confirmPassword('secret-1').validate('secret-1').valid, true);
+  assert.deepStrictEqual(v.password().confirmPassword('secret-2', { message: 'Passwords do not match' }).validate('secret-1').errors, ['Passwords do not match']);
+});
+
+test('sameAs() replaces confirmPassword() in schemas', () => {
+  const schema = v.object({ password: v.password(), password_confirmation: v.string() }).sameAs('password_confirmation', 'password');
+  assert.strictEqual(schema.parseData({ password: 'secret-1', password_confirmation: 'secret-1' }).valid, true);
+  assert.strictEqual(schema.parseData({ password: 'secret-1', password_confirmation: 'secret-2' }).valid, false);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const v = require('..');
+
+test('url() requires // and a host for web URLs', () => {
+  for (let value of ['http:x', 'https:example.com', 'http:/example.com', 'http:\\\\example.com', 'http://', ' http://example.com']) {
+    assert.strictEqual(v.string().url().validate(value).valid, false, value);
+  }
+  for (let value of ['http://example.com', 'HTTPS://example.com/path?q=1', 'http://localhost:3000']) {
+    assert.strictEqual(v.string().url().validate(value).valid, true, value);
+  }
+  assert.strictEqual(v.string().url({ protocols: ['mailto'] }).validate('mailto:john@example.com').valid, true);
+});
+
+test('uuid() checks the variant', () => {
+  assert.strictEqual(v.string().uuid().validate('123e4567-e89b-42d3-a456-426614174000').valid, true);
+  assert.strictEqual(v.string().uuid().validate('123e4567-e89b-42d3-c456-426614174000').valid, false);
+  assert.strictEqual(v.string().uuid({ version: 4 }).validate('123e4567-e89b-42d3-7456-426614174000').valid, false);
+  assert.strictEqual(v.string().uuid({ version: 4 }).validate('123e4567-e89b-12d3-a456-426614174000').valid, false);
+});
+
+test('uuid() accepts the nil and max UUIDs unless a version is required', () => {
+  assert.strictEqual(v.string().uuid().validate('00000000-0000-0000-0000-000000000000').valid, true);
+  assert.strictEqual(v.string().uuid().validate('FFFFFFFF-FFFF-FFFF-FFFF-FFFFFFFFFFFF').valid, true);
+  assert.strictEqual(v.string().uuid({ version: 4 }).validate('00000000-0000-0000-0000-000000000000').valid, false);
+});